@@ -165,27 +165,57 @@ class BookSearchService: ObservableObject {
         }
     }
     
-    /// Specialized search for author-specific queries
+    /// Author bibliography via the proxy's /author endpoint - one result per work,
+    /// without the books *about* the author a free-text search mixes in
     func searchByAuthor(
         _ author: String,
         sortBy: SortOption = .popularity,
         maxResults: Int = 40,
-        includeTranslations: Bool = false
+        page: Int = 1
     ) async -> Result<[BookMetadata], BookError> {
         let trimmedAuthor = author.trimmingCharacters(in: .whitespacesAndNewlines)
         guard !trimmedAuthor.isEmpty else {
             return .success([])
         }
         
-        // Format as author-specific query
-        let authorQuery = "inauthor:\"\(trimmedAuthor)\""
+        guard var components = URLComponents(string: "\(proxyBaseURL)/author") else {
+            return .failure(.invalidURL)
+        }
         
-        return await search(
-            query: authorQuery,
-            sortBy: sortBy,
-            maxResults: maxResults,
-            includeTranslations: includeTranslations
-        )
+        // The proxy sorts by publication year; popularity is still ranked locally
+        components.queryItems = [
+            URLQueryItem(name: "name", value: trimmedAuthor),
+            URLQueryItem(name: "maxResults", value: String(maxResults)),
+            URLQueryItem(name: "page", value: String(page)),
+            URLQueryItem(name: "orderBy", value: sortBy == .newest ? "newest" : "relevance")
+        ]
+        
+        guard let url = components.url else {
+            return .failure(.invalidURL)
+        }
+        
+        let result = await executeProxyRequest(url: url) { data in
+            let response = try JSONDecoder().decode(ProxySearchResponse.self, from: data)
+            
+            // Handle proxy errors
+            if let error = response.error {
+                throw ProxyError.serverError(error)
+            }
+            
+            let metadataItems = response.items?.map { $0.toBookMetadata(provider: response.provider) } ?? []
+            
+            return self.processSearchResults(
+                metadataItems,
+                originalQuery: trimmedAuthor,
+                sortBy: sortBy
+            )
+        }
+        
+        // An author no provider knows is an empty bibliography, not a failure
+        if case .failure(.networkError("HTTP 404")) = result {
+            return .success([])
+        }
+        return result
     }
     
     /// Specialized search for title-specific queries
@@ -292,8 +292,7 @@ struct AuthorSearchResultsView: View {
         let result = await searchService.searchByAuthor(
             authorName,
             sortBy: sortOption,
-            maxResults: 40,
-            includeTranslations: true
+            maxResults: 40
         )
         
         await MainActor.run {
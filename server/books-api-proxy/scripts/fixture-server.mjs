@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+// Fixture store for PROVIDER_MODE=record|replay (see src/fixtures.js)
+// Usage: node scripts/fixture-server.mjs [port]   - fixtures are read from and written to ./fixtures
+
+import http from "node:http";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const FIXTURE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+const port = Number(process.argv[2] || process.env.FIXTURE_PORT || 8788);
+
+const server = http.createServer(async (request, response) => {
+  // Only <provider>/<hash>.json under /fixtures/ - nothing else on disk is reachable
+  // A provider may be a hostname, so dots are allowed between labels but "." and ".." are not
+  const match = request.url.match(/^\/fixtures\/([a-z0-9-]+(?:\.[a-z0-9-]+)*)\/([a-f0-9]+\.json)$/);
+  const fixturePath = match ? path.resolve(FIXTURE_DIR, match[1], match[2]) : null;
+  if (!fixturePath?.startsWith(FIXTURE_DIR + path.sep)) {
+    response.writeHead(404).end();
+    return;
+  }
+
+  try {
+    if (request.method === "GET") {
+      const body = await fs.readFile(fixturePath);
+      response.writeHead(200, { "Content-Type": "application/json" }).end(body);
+    } else if (request.method === "PUT") {
+      const chunks = [];
+      for await (const chunk of request) {
+        chunks.push(chunk);
+      }
+      await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+      await fs.writeFile(fixturePath, Buffer.concat(chunks));
+      console.log(`📼 Recorded ${match[1]}/${match[2]}`);
+      response.writeHead(201).end();
+    } else {
+      response.writeHead(405).end();
+    }
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      console.log(`❌ No fixture ${match[1]}/${match[2]}`);
+      response.writeHead(404).end();
+    } else {
+      console.error("Fixture server error:", error.message);
+      response.writeHead(500).end();
+    }
+  }
+});
+
+server.listen(port, "127.0.0.1", () => {
+  console.log(`Fixture server on http://127.0.0.1:${port} (${FIXTURE_DIR})`);
+});
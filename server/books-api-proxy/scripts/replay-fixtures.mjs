@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+// Provider mapping regression tests: runs the worker in PROVIDER_MODE=replay against the
+// recordings in ./fixtures and compares each response with fixtures/expected/<case>.json
+// Usage: node scripts/replay-fixtures.mjs [--update]   - --update rewrites the expected files
+
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { isDeepStrictEqual } from "node:util";
+import { fileURLToPath } from "node:url";
+import { unstable_dev } from "wrangler";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const EXPECTED_DIR = path.join(ROOT, "fixtures", "expected");
+const FIXTURE_PORT = Number(process.env.FIXTURE_PORT || 8798);
+const update = process.argv.includes("--update");
+
+// One case per provider and operation, plus the dates /v2 and /author-profile parse;
+// every upstream call they make has a recording
+const CASES = [
+  { name: "isbndb-lookup", path: "/isbn?isbn=9780060883287&provider=isbndb" },
+  { name: "isbndb-search", path: "/search?q=solitude&provider=isbndb" },
+  { name: "google-books-lookup", path: "/isbn?isbn=9781400033416&provider=google" },
+  { name: "google-books-search", path: "/search?q=beloved&provider=google" },
+  { name: "open-library-lookup", path: "/isbn?isbn=9780143039433&provider=openlibrary" },
+  { name: "open-library-search", path: "/search?q=grapes%20of%20wrath&provider=openlibrary" },
+  // Published "1 May 2004", first published "1 March 2004" - day-first dates keep the day
+  { name: "open-library-v2-lookup", path: "/v2/isbn?isbn=9780340822784&provider=openlibrary" },
+  // The only Wikidata hit is a footballer namesake, so birthDate falls back to Open Library's "6 March 1927"
+  { name: "author-profile", path: "/author-profile?name=Gabriel%20Garc%C3%ADa%20M%C3%A1rquez" }
+];
+
+async function readExpected(name) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(EXPECTED_DIR, `${name}.json`), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+const fixtureServer = spawn(process.execPath, [path.join(ROOT, "scripts", "fixture-server.mjs"), String(FIXTURE_PORT)], {
+  stdio: ["ignore", "pipe", "inherit"]
+});
+// The server logs once it is listening
+await new Promise((resolve) => fixtureServer.stdout.once("data", resolve));
+fixtureServer.stdout.resume();
+// Fresh KV, R2 and Durable Object state every run, so neither the cache nor the rate
+// limiter carries over from the last one
+const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), "replay-fixtures-"));
+let worker = null;
+let failures = 0;
+
+try {
+  worker = await unstable_dev(path.join(ROOT, "src", "index.js"), {
+    config: path.join(ROOT, "wrangler.toml"),
+    vars: { PROVIDER_MODE: "replay", FIXTURE_SERVER_URL: `http://127.0.0.1:${FIXTURE_PORT}` },
+    persistTo: stateDir,
+    logLevel: "error",
+    experimental: { disableExperimentalWarning: true }
+  });
+
+  for (const testCase of CASES) {
+    const response = await worker.fetch(testCase.path);
+    const actual = { status: response.status, body: await response.json() };
+
+    if (update) {
+      await fs.mkdir(EXPECTED_DIR, { recursive: true });
+      await fs.writeFile(path.join(EXPECTED_DIR, `${testCase.name}.json`), `${JSON.stringify(actual, null, 2)}\n`);
+      console.log(`📝 ${testCase.name}`);
+    } else if (isDeepStrictEqual(actual, await readExpected(testCase.name))) {
+      console.log(`✅ ${testCase.name}`);
+    } else {
+      failures++;
+      console.log(`❌ ${testCase.name} - ${testCase.path} no longer matches fixtures/expected/${testCase.name}.json:`);
+      console.log(JSON.stringify(actual, null, 2));
+    }
+  }
+} finally {
+  await worker?.stop();
+  fixtureServer.kill();
+  await fs.rm(stateDir, { recursive: true, force: true });
+}
+
+if (failures > 0) {
+  console.log(`\n${failures} of ${CASES.length} cases failed - run with --update if the change is intended`);
+  process.exit(1);
+}
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+// Local stand-in for the Wikidata API used by /author-profile (see src/wikidata.js)
+// Usage: node scripts/wikidata-stub.mjs [port] [entities.json]
+// Run the worker with WIKIDATA_API_URL=http://127.0.0.1:8789/w/api.php. Entities come from
+// the JSON file ({ "Q123": { labels, claims }, ... }) or the built-in sample below.
+
+import http from "node:http";
+import fs from "node:fs/promises";
+
+const port = Number(process.argv[2] || process.env.WIKIDATA_STUB_PORT || 8789);
+const entitiesFile = process.argv[3] || process.env.WIKIDATA_STUB_ENTITIES;
+
+const item = (id) => ({ rank: "normal", mainsnak: { datavalue: { value: { id } } } });
+const value = (data) => ({ rank: "normal", mainsnak: { datavalue: { value: data } } });
+const label = (text) => ({ en: { language: "en", value: text } });
+
+// One sample author - the person id is made up, the country, continent, gender and occupation ids are real
+const SAMPLE_ENTITIES = {
+  Q90000001: {
+    labels: label("Stub Author"),
+    claims: {
+      P31: [item("Q5")],
+      P21: [item("Q6581072")],
+      P106: [item("Q6625963")],
+      P27: [item("Q1033")],
+      P19: [item("Q90000002")],
+      P569: [value({ time: "+1977-09-15T00:00:00Z", precision: 11 })],
+      P18: [value("Stub Author.jpg")]
+    }
+  },
+  Q90000002: { labels: label("Enugu"), claims: {} },
+  Q1033: { labels: label("Nigeria"), claims: { P30: [item("Q15")] } },
+  Q15: { labels: label("Africa"), claims: {} },
+  Q5: { labels: label("human"), claims: {} },
+  Q6625963: { labels: label("novelist"), claims: {} }
+};
+
+const entities = entitiesFile ? JSON.parse(await fs.readFile(entitiesFile, "utf8")) : SAMPLE_ENTITIES;
+
+// The three api.php actions src/wikidata.js calls
+function answer(params) {
+  const action = params.get("action");
+  if (action === "wbsearchentities") {
+    const search = (params.get("search") || "").toLowerCase();
+    const hits = Object.entries(entities)
+      .filter(([, entity]) => entity.labels?.en?.value.toLowerCase().includes(search))
+      .slice(0, Number(params.get("limit") || 7))
+      .map(([id, entity]) => ({ id, label: entity.labels.en.value }));
+    return { search: hits };
+  }
+  if (action === "wbgetentities") {
+    const props = (params.get("props") || "labels|claims").split("|");
+    const result = {};
+    for (const id of (params.get("ids") || "").split("|")) {
+      const entity = entities[id];
+      result[id] = entity ? {
+        id,
+        labels: entity.labels || {},
+        ...(props.includes("claims") ? { claims: entity.claims || {} } : {})
+      } : { id, missing: "" };
+    }
+    return { entities: result };
+  }
+  if (action === "wbgetclaims") {
+    const claims = entities[params.get("entity")]?.claims || {};
+    const property = params.get("property");
+    return { claims: property ? { [property]: claims[property] || [] } : claims };
+  }
+  return null;
+}
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://127.0.0.1:${port}`);
+  const body = url.pathname === "/w/api.php" ? answer(url.searchParams) : null;
+  if (!body) {
+    response.writeHead(404).end();
+    return;
+  }
+  console.log(`🧪 ${url.searchParams.get("action")} ${url.searchParams.get("ids") || url.searchParams.get("search") || url.searchParams.get("entity") || ""}`);
+  response.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+});
+
+server.listen(port, "127.0.0.1", () => {
+  console.log(`Wikidata stub on http://127.0.0.1:${port}/w/api.php (${Object.keys(entities).length} entities)`);
+});
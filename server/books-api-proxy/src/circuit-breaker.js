@@ -0,0 +1,171 @@
+import { incrementMetric } from "./metrics.js";
+import { isReplayMode } from "./fixtures.js";
+
+// Per-provider circuit breakers. State lives in one CircuitBreaker Durable Object per
+// provider so every isolate sees the same breaker; isolates cache the last answer briefly
+// so a healthy provider costs no extra round trips.
+const CIRCUIT_BREAKER_FAILURE_THRESHOLD = 5;
+const CIRCUIT_BREAKER_OPEN_MS = 60000;
+const CIRCUIT_BREAKER_PROBE_INTERVAL_MS = 5000;
+const CIRCUIT_BREAKER_CLOSE_AFTER_PROBES = 3;
+const CIRCUIT_BREAKER_LOCAL_TTL_MS = 5000;
+
+const circuitStates = new Map();
+
+function getCircuitBreaker(provider, env) {
+  return env.CIRCUIT_BREAKER.get(env.CIRCUIT_BREAKER.idFromName(`circuit:${provider}`));
+}
+
+export async function assertCircuitClosed(provider, env) {
+  // Replayed fixtures say nothing about provider health
+  if (!env || !env.CIRCUIT_BREAKER || isReplayMode(env)) {
+    return;
+  }
+  
+  const now = Date.now();
+  const cached = circuitStates.get(provider);
+  if (cached && cached.state === "closed" && now - cached.checkedAt < CIRCUIT_BREAKER_LOCAL_TTL_MS) {
+    return;
+  }
+  
+  let breaker = cached;
+  if (!cached || cached.state !== "open" || now >= cached.retryAt) {
+    try {
+      const response = await getCircuitBreaker(provider, env).fetch("https://circuit-breaker/acquire", { method: "POST" });
+      breaker = { ...(await response.json()), checkedAt: now };
+      circuitStates.set(provider, breaker);
+    } catch (error) {
+      // Fail open - a broken breaker must not take the provider down with it
+      console.warn("Circuit breaker unavailable:", error.message);
+      return;
+    }
+  }
+  
+  if (!breaker.allowed || (breaker.state === "open" && now < breaker.retryAt)) {
+    incrementMetric("books_api_circuit_rejections_total", { provider });
+    const retrySeconds = Math.max(1, Math.ceil((breaker.retryAt - now) / 1000));
+    throw new Error(`circuit open after repeated failures - skipped, next probe in ${retrySeconds}s`);
+  }
+}
+
+export async function reportCircuitOutcome(provider, outcome, env) {
+  if (!provider || !env || !env.CIRCUIT_BREAKER || isReplayMode(env)) {
+    return;
+  }
+  
+  // A 404 is a healthy answer; only timeouts and errors count against the provider
+  const success = outcome === "success" || outcome === "not_found";
+  const cached = circuitStates.get(provider);
+  if (success && cached && cached.state === "closed" && cached.failures === 0) {
+    return;
+  }
+  
+  try {
+    const response = await getCircuitBreaker(provider, env).fetch("https://circuit-breaker/report", {
+      method: "POST",
+      body: JSON.stringify({ success, outcome })
+    });
+    circuitStates.set(provider, { ...(await response.json()), allowed: true, checkedAt: Date.now() });
+  } catch (error) {
+    console.warn("Circuit breaker report failed:", error.message);
+  }
+}
+
+export async function getCircuitBreakerStatus(env, providers) {
+  if (!env.CIRCUIT_BREAKER) {
+    return "not configured";
+  }
+  
+  const entries = await Promise.all(providers.map(async (provider) => {
+    try {
+      const response = await getCircuitBreaker(provider, env).fetch("https://circuit-breaker/status");
+      return [provider, await response.json()];
+    } catch (error) {
+      return [provider, { state: "unknown", error: error.message }];
+    }
+  }));
+  return Object.fromEntries(entries);
+}
+
+// Durable Object holding one provider's breaker: closed -> open after consecutive
+// failures -> half-open, where a single probe is let through per interval and a run
+// of successful probes closes it again
+export class CircuitBreaker {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+  
+  async fetch(request) {
+    const url = new URL(request.url);
+    const now = Date.now();
+    const circuit = (await this.state.storage.get("circuit")) ||
+      { state: "closed", failures: 0, probeSuccesses: 0, openedAt: null, retryAt: 0, lastProbeAt: 0, lastFailure: null };
+    
+    if (url.pathname === "/acquire") {
+      let allowed = true;
+      
+      if (circuit.state === "open" && now >= circuit.retryAt) {
+        circuit.state = "half-open";
+        circuit.probeSuccesses = 0;
+      }
+      
+      if (circuit.state === "open") {
+        allowed = false;
+      } else if (circuit.state === "half-open") {
+        allowed = now - circuit.lastProbeAt >= CIRCUIT_BREAKER_PROBE_INTERVAL_MS;
+        if (allowed) {
+          circuit.lastProbeAt = now;
+        }
+        circuit.retryAt = circuit.lastProbeAt + CIRCUIT_BREAKER_PROBE_INTERVAL_MS;
+      }
+      
+      await this.state.storage.put("circuit", circuit);
+      return Response.json({ ...this.describe(circuit), allowed });
+    } else if (url.pathname === "/report") {
+      const { success, outcome } = await request.json();
+      
+      if (success) {
+        if (circuit.state === "half-open") {
+          circuit.probeSuccesses += 1;
+          if (circuit.probeSuccesses >= CIRCUIT_BREAKER_CLOSE_AFTER_PROBES) {
+            console.log("✅ Circuit closed after successful probes");
+            circuit.state = "closed";
+            circuit.openedAt = null;
+            circuit.retryAt = 0;
+          }
+        }
+        if (circuit.state === "closed") {
+          circuit.failures = 0;
+        }
+      } else {
+        circuit.failures += 1;
+        circuit.lastFailure = { outcome, at: new Date(now).toISOString() };
+        
+        if (circuit.state === "half-open" || (circuit.state === "closed" && circuit.failures >= CIRCUIT_BREAKER_FAILURE_THRESHOLD)) {
+          console.warn(`Circuit opened after ${circuit.failures} consecutive failures`);
+          circuit.state = "open";
+          circuit.openedAt = now;
+          circuit.retryAt = now + CIRCUIT_BREAKER_OPEN_MS;
+        }
+      }
+      
+      await this.state.storage.put("circuit", circuit);
+      return Response.json(this.describe(circuit));
+    } else if (url.pathname === "/status") {
+      return Response.json(this.describe(circuit));
+    }
+    
+    return new Response("Not found", { status: 404 });
+  }
+  
+  describe(circuit) {
+    return {
+      state: circuit.state,
+      failures: circuit.failures,
+      retryAt: circuit.retryAt,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      lastFailure: circuit.lastFailure
+    };
+  }
+}
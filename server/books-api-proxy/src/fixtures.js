@@ -0,0 +1,94 @@
+// Record/replay of upstream provider responses for offline development
+// PROVIDER_MODE=live (default) | record | replay
+// Workers can't touch the filesystem, so fixtures are written and served as JSON files
+// by scripts/fixture-server.mjs, reachable at FIXTURE_SERVER_URL
+const PROVIDER_MODES = ["live", "record", "replay"];
+const DEFAULT_FIXTURE_SERVER_URL = "http://127.0.0.1:8788";
+
+export function getProviderMode(env) {
+  const mode = env?.PROVIDER_MODE || "live";
+  if (!PROVIDER_MODES.includes(mode)) {
+    console.warn(`Unknown PROVIDER_MODE "${mode}" - using live`);
+    return "live";
+  }
+  return mode;
+}
+
+export function isReplayMode(env) {
+  return getProviderMode(env) === "replay";
+}
+
+// API keys never end up in fixture names or files, so a fixture recorded with
+// real keys replays on a machine that has none
+function redactFixtureUrl(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.delete("key");
+  return parsed.toString();
+}
+
+async function getFixturePath(url, provider) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(redactFixtureUrl(url)));
+  const hash = [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("")
+    .slice(0, 24);
+  return `${provider}/${hash}.json`;
+}
+
+// Drop-in for fetch() inside safeFetch - returns a real Response in every mode
+export async function fetchUpstream(url, options, context) {
+  const env = context.env;
+  const mode = getProviderMode(env);
+  if (mode === "live") {
+    return await fetch(url, options);
+  }
+
+  const provider = context.provider || new URL(url).hostname;
+  const fixtureUrl = `${env.FIXTURE_SERVER_URL || DEFAULT_FIXTURE_SERVER_URL}/fixtures/${await getFixturePath(url, provider)}`;
+
+  if (mode === "replay") {
+    const response = await fetch(fixtureUrl);
+    if (!response.ok) {
+      throw new Error(`No recorded fixture for ${redactFixtureUrl(url)}`);
+    }
+
+    const fixture = await response.json();
+    const body = fixture.json !== undefined ? JSON.stringify(fixture.json) : fixture.body;
+    return new Response(body, {
+      status: fixture.status,
+      statusText: fixture.statusText,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+
+  // Record: go live, then save what came back - errors included, so failure
+  // handling can be replayed too
+  const response = await fetch(url, options);
+  const body = await response.text();
+
+  const fixture = {
+    url: redactFixtureUrl(url),
+    provider,
+    recordedAt: (new Date()).toISOString(),
+    status: response.status,
+    statusText: response.statusText
+  };
+  try {
+    fixture.json = JSON.parse(body);
+  } catch {
+    fixture.body = body;
+  }
+
+  try {
+    await fetch(fixtureUrl, { method: "PUT", body: JSON.stringify(fixture, null, 2) });
+    console.log(`📼 Recorded fixture for ${fixture.url}`);
+  } catch (error) {
+    console.warn("Fixture recording failed:", error.message);
+  }
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
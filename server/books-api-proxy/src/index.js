@@ -1,75 +1,232 @@
-/**
- * Books API Proxy - CloudFlare Worker
- * 
- * Multi-provider book search API with intelligent fallbacks:
- * 1. Google Books API (primary) - comprehensive data
- * 2. ISBNdb API (fallback) - 31+ million ISBNs, 19 data points
- * 3. Open Library API (fallback) - free, extensive catalog
- * 
- * Features:
- * - Rate limiting per IP
- * - Hybrid R2 + KV caching (hot/cold cache tiers)
- * - Provider fallbacks
- * - Request analytics
- * - CORS support
- */
+// Books API Proxy - CloudFlare Worker
+// Provider chain comes from the adapter registry in ./providers (default ISBNdb → Google Books → Open Library)
+// Production-hardened with bulletproof caching and error handling
+// Local dev: npx wrangler dev (KV, R2 and the Durable Objects)
+
+import { getProvider, getProviderByParam, getProviderChain, getProviderParams } from "./providers/index.js";
+import {
+  flushMetrics,
+  getLocalMetricsSnapshot,
+  incrementMetric,
+  recordRequestMetrics,
+  renderPrometheusMetrics
+} from "./metrics.js";
+import { getCircuitBreakerStatus } from "./circuit-breaker.js";
+import { MAX_RESPONSE_SIZE } from "./upstream.js";
+import { isReplayMode } from "./fixtures.js";
+import { toLanguageCode } from "./languages.js";
+import { fetchWikidataPerson } from "./wikidata.js";
+
+// Durable Object classes must be exported from the entry module
+export { MetricsCollector } from "./metrics.js";
+export { CircuitBreaker } from "./circuit-breaker.js";
 
 export default {
   async fetch(request, env, ctx) {
-    // Handle CORS preflight
-    if (request.method === 'OPTIONS') {
+    if (request.method === "OPTIONS") {
       return handleCORS();
     }
+    
+    const response = await routeRequest(request, env, ctx);
+    recordRequestMetrics(new URL(request.url).pathname, response);
+    flushMetrics(env, ctx);
+    return response;
+  },
+  
+  // Cron trigger (e.g. "*/15 * * * *") - sweeps orphaned pre-versioned cache objects out of R2
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(cleanupLegacyCacheKeys(env));
+  }
+};
 
-    try {
-      const url = new URL(request.url);
-      const path = url.pathname;
-
-      // Route requests
-      if (path === '/search') {
-        return await handleBookSearch(request, env, ctx);
-      } else if (path === '/isbn') {
-        return await handleISBNLookup(request, env, ctx);
-      } else if (path === '/health') {
-        return new Response(JSON.stringify({ 
-          status: 'healthy', 
-          timestamp: new Date().toISOString(),
-          providers: ['google-books', 'isbndb', 'open-library'],
-          cache: {
-            system: env.BOOKS_R2 ? 'R2+KV-Hybrid' : 'KV-Only',
-            kv: env.BOOKS_CACHE ? 'available' : 'missing',
-            r2: env.BOOKS_R2 ? 'available' : 'missing'
-          }
-        }), {
-          headers: getCORSHeaders('application/json')
-        });
-      } else {
-        return new Response(JSON.stringify({ error: 'Endpoint not found' }), {
-          status: 404,
-          headers: getCORSHeaders('application/json')
-        });
-      }
-    } catch (error) {
-      console.error('Worker error:', error);
-      return new Response(JSON.stringify({ 
-        error: 'Internal server error',
-        message: error.message 
-      }), {
-        status: 500,
-        headers: getCORSHeaders('application/json')
+async function routeRequest(request, env, ctx) {
+  try {
+    validateEnvironment(env);
+    const url = new URL(request.url);
+    const path = url.pathname;
+    
+    if (path === "/search") {
+      return await handleBookSearch(request, env, ctx);
+    } else if (path === "/isbn") {
+      return await handleISBNLookup(request, env, ctx);
+    } else if (path === "/isbn/batch") {
+      return await handleISBNBatchLookup(request, env, ctx);
+    } else if (path === "/v2/search") {
+      return await handleV2Request(request, env, ctx, handleBookSearch, toSearchResultV2);
+    } else if (path === "/v2/isbn") {
+      return await handleV2Request(request, env, ctx, handleISBNLookup, toLookupResultV2);
+    } else if (path === "/admin/keys" || path.startsWith("/admin/keys/")) {
+      return await handleAdminKeys(request, env);
+    } else if (path === "/admin/cache" || path.startsWith("/admin/cache/")) {
+      return await handleAdminCache(request, env, ctx);
+    } else if (path === "/editions") {
+      return await handleEditionsLookup(request, env, ctx);
+    } else if (path === "/author" || path.startsWith("/author/")) {
+      return await handleAuthorWorks(request, env, ctx);
+    } else if (path === "/author-profile") {
+      return await handleAuthorProfile(request, env, ctx);
+    } else if (path.startsWith("/cover/")) {
+      return await handleCoverRequest(request, env, ctx);
+    } else if (path === "/metrics") {
+      return await handleMetrics(request, env);
+    } else if (path === "/health") {
+      return await handleHealth(request, env, ctx);
+    } else {
+      return new Response(JSON.stringify({ error: "Endpoint not found" }), {
+        status: 404,
+        headers: getCORSHeaders("application/json")
       });
     }
+  } catch (error) {
+    console.error("Worker error:", error);
+    return new Response(JSON.stringify({
+      error: "Internal server error",
+      message: error.message
+    }), {
+      status: 500,
+      headers: getCORSHeaders("application/json")
+    });
   }
-};
+}
+
+// Health check - ?deep=true also probes every provider and the KV/R2 bindings
+async function handleHealth(request, env, ctx) {
+  const url = new URL(request.url);
+  if (url.searchParams.get("deep") === "true") {
+    return await handleDeepHealth(env, ctx);
+  }
+  
+  const chain = getProviderChain(env);
+  
+  return new Response(JSON.stringify({
+    status: "healthy",
+    timestamp: (new Date()).toISOString(),
+    providers: chain.map((adapter) => adapter.name),
+    priority: chain.map((adapter) => adapter.label).join(" → "),
+    environment: {
+      ISBNdb1: env.ISBNdb1 ? "configured" : "missing",
+      google1: env.google1 ? "configured" : "missing", 
+      google2: env.google2 ? "configured" : "missing"
+    },
+    cache: {
+      system: env.BOOKS_R2 ? "R2+KV-Hybrid" : "KV-Only",
+      kv: env.BOOKS_CACHE ? "available" : "missing",
+      r2: env.BOOKS_R2 ? "available" : "missing"
+    },
+    circuitBreakers: await getCircuitBreakerStatus(env, chain.map((adapter) => adapter.name))
+  }), {
+    headers: getCORSHeaders("application/json")
+  });
+}
+
+const HEALTH_PROBE_ISBN = "9780441172719";
+const HEALTH_CACHE_SECONDS = 60;
+const HEALTH_CACHE_KEY = "health:deep";
+
+async function handleDeepHealth(env, ctx) {
+  // Results are cached briefly so monitors polling every few seconds don't burn provider quota
+  const cached = env.BOOKS_CACHE ? await env.BOOKS_CACHE.get(HEALTH_CACHE_KEY, "json").catch(() => null) : null;
+  const report = cached ? { ...cached, cached: true } : await runDeepHealthChecks(env);
+  
+  if (!cached && env.BOOKS_CACHE) {
+    ctx.waitUntil(env.BOOKS_CACHE.put(HEALTH_CACHE_KEY, JSON.stringify(report), {
+      expirationTtl: HEALTH_CACHE_SECONDS
+    }).catch((error) => console.warn("Health cache write failed:", error.message)));
+  }
+  
+  return new Response(JSON.stringify(report), {
+    status: report.status === "healthy" ? 200 : 503,
+    headers: {
+      ...getCORSHeaders("application/json"),
+      "Cache-Control": "no-store"
+    }
+  });
+}
+
+async function runHealthCheck(check) {
+  const started = Date.now();
+  try {
+    const details = await check();
+    return { status: "pass", latencyMs: Date.now() - started, ...details };
+  } catch (error) {
+    return { status: "fail", latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+async function runDeepHealthChecks(env) {
+  const probeLookup = (adapter) => async () => {
+    const book = await adapter.lookup(HEALTH_PROBE_ISBN, env);
+    if (!book) {
+      throw new Error(`Known ISBN ${HEALTH_PROBE_ISBN} not found`);
+    }
+    return { title: book.volumeInfo?.title || "" };
+  };
+  
+  const probeKey = `health-probe/${crypto.randomUUID()}`;
+  const probeValue = (new Date()).toISOString();
+  
+  const adapters = getProviderChain(env, "lookup");
+  const [kv, r2, ...providerChecks] = await Promise.all([
+    runHealthCheck(async () => {
+      if (!env.BOOKS_CACHE) {
+        throw new Error("BOOKS_CACHE binding missing");
+      }
+      await env.BOOKS_CACHE.put(probeKey, probeValue, { expirationTtl: 60 });
+      const value = await env.BOOKS_CACHE.get(probeKey);
+      await env.BOOKS_CACHE.delete(probeKey);
+      if (value !== probeValue) {
+        throw new Error("KV read did not return the value just written");
+      }
+      return {};
+    }),
+    runHealthCheck(async () => {
+      if (!env.BOOKS_R2) {
+        throw new Error("BOOKS_R2 binding missing");
+      }
+      await env.BOOKS_R2.put(probeKey, probeValue);
+      const object = await env.BOOKS_R2.get(probeKey);
+      const value = object ? await object.text() : null;
+      await env.BOOKS_R2.delete(probeKey);
+      if (value !== probeValue) {
+        throw new Error("R2 read did not return the value just written");
+      }
+      return {};
+    }),
+    ...adapters.map((adapter) => runHealthCheck(probeLookup(adapter)))
+  ]);
+  
+  const checks = {
+    providers: Object.fromEntries(adapters.map((adapter, index) => [adapter.name, providerChecks[index]])),
+    storage: { kv, r2 }
+  };
+  const failed = [...Object.values(checks.providers), ...Object.values(checks.storage)]
+    .some((check) => check.status !== "pass");
+  
+  return {
+    status: failed ? "degraded" : "healthy",
+    timestamp: (new Date()).toISOString(),
+    probeISBN: HEALTH_PROBE_ISBN,
+    cached: false,
+    checks
+  };
+}
+
+// Environment validation
+function validateEnvironment(env) {
+  if (!env || typeof env !== 'object') {
+    throw new Error('Environment not available');
+  }
+  return true;
+}
 
-// CORS headers
-function getCORSHeaders(contentType = 'application/json') {
+function getCORSHeaders(contentType = "application/json") {
   return {
-    'Content-Type': contentType,
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
-    'Access-Control-Max-Age': '86400',
+    "Content-Type": contentType,
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Api-Key, X-Requested-With",
+    "Access-Control-Expose-Headers": "RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, Age, X-Cache",
+    "Access-Control-Max-Age": "86400"
   };
 }
 
@@ -80,750 +237,3294 @@ function handleCORS() {
   });
 }
 
-// ========================================
-// INPUT VALIDATION & SECURITY
-// ========================================
-
-/**
- * Validate and sanitize search query parameters
- */
 function validateSearchParams(url) {
-  const query = url.searchParams.get('q');
-  const maxResults = url.searchParams.get('maxResults');
-  const sortBy = url.searchParams.get('orderBy');
-  const langRestrict = url.searchParams.get('langRestrict');
+  const query = url.searchParams.get("q");
+  const maxResults = url.searchParams.get("maxResults");
+  // The iOS client sends popularity as sortType rather than orderBy
+  const sortParam = url.searchParams.get("sortType") !== null ? "sortType" : "orderBy";
+  const sortBy = url.searchParams.get(sortParam);
+  const langRestrict = url.searchParams.get("langRestrict");
+  const provider = url.searchParams.get("provider");
+  const page = url.searchParams.get("page");
+  const startIndex = url.searchParams.get("startIndex");
+  const cursor = url.searchParams.get("cursor");
+  const fields = url.searchParams.get("fields");
   
   const errors = [];
   const sanitized = {};
   
-  // Validate and sanitize query
-  if (!query || typeof query !== 'string') {
+  // Query validation
+  if (!query || typeof query !== "string") {
     errors.push('Query parameter "q" is required and must be a string');
   } else if (query.trim().length === 0) {
     errors.push('Query parameter "q" cannot be empty');
   } else if (query.length > 500) {
     errors.push('Query parameter "q" must be less than 500 characters');
   } else {
-    // Sanitize query - remove potentially dangerous characters
-    const sanitizedQuery = query
-      .replace(/[<>]/g, '') // Remove HTML brackets
-      .replace(/['"]/g, '') // Remove quotes that could break JSON
-      .replace(/[\x00-\x1F\x7F]/g, '') // Remove control characters
-      .trim();
-    
+    const sanitizedQuery = query.replace(/[<>]/g, "").replace(/['"]/g, "").replace(/[\x00-\x1F\x7F]/g, "").trim();
     if (sanitizedQuery.length === 0) {
-      errors.push('Query contains only invalid characters');
+      errors.push("Query contains only invalid characters");
     } else {
       sanitized.query = sanitizedQuery;
     }
   }
   
-  // Validate maxResults
+  // MaxResults validation
   if (maxResults !== null) {
     const maxResultsInt = parseInt(maxResults);
     if (isNaN(maxResultsInt) || maxResultsInt < 1 || maxResultsInt > 40) {
-      errors.push('maxResults must be a number between 1 and 40');
+      errors.push("maxResults must be a number between 1 and 40");
     } else {
       sanitized.maxResults = maxResultsInt;
     }
   } else {
-    sanitized.maxResults = 20; // Default
+    sanitized.maxResults = 20;
+  }
+  
+  // Paging: a nextPage cursor wins over page / startIndex and also fixes the provider mode
+  sanitized.startIndex = 0;
+  sanitized.cursor = null;
+  if (cursor !== null) {
+    const decoded = decodeSearchCursor(cursor);
+    if (!decoded) {
+      errors.push("cursor must be a nextPage value returned by /search");
+    } else if (provider !== null && provider !== decoded.mode) {
+      errors.push(`cursor was issued for provider=${decoded.mode}, not provider=${provider}`);
+    } else {
+      sanitized.cursor = decoded;
+      sanitized.startIndex = decoded.startIndex;
+    }
+  } else if (page !== null && startIndex !== null) {
+    errors.push("Use either page or startIndex, not both");
+  } else if (page !== null) {
+    const pageInt = parseInt(page);
+    if (isNaN(pageInt) || pageInt < 1) {
+      errors.push("page must be a number of 1 or more");
+    } else {
+      sanitized.startIndex = (pageInt - 1) * (sanitized.maxResults || 20);
+    }
+  } else if (startIndex !== null) {
+    const startIndexInt = parseInt(startIndex);
+    if (isNaN(startIndexInt) || startIndexInt < 0) {
+      errors.push("startIndex must be a number of 0 or more");
+    } else {
+      sanitized.startIndex = startIndexInt;
+    }
+  }
+  if (sanitized.startIndex > MAX_SEARCH_START_INDEX) {
+    errors.push(`startIndex must be at most ${MAX_SEARCH_START_INDEX} - refine the query to see later results`);
   }
   
-  // Validate sortBy
+  // SortBy validation
   if (sortBy !== null) {
-    const validSortOptions = ['relevance', 'newest'];
-    if (!validSortOptions.includes(sortBy)) {
-      errors.push('orderBy must be either "relevance" or "newest"');
+    if (!SEARCH_SORT_OPTIONS.includes(sortBy)) {
+      errors.push(`${sortParam} must be one of: ${SEARCH_SORT_OPTIONS.join(", ")}`);
     } else {
       sanitized.sortBy = sortBy;
     }
   } else {
-    sanitized.sortBy = 'relevance'; // Default
+    sanitized.sortBy = "relevance";
   }
   
-  // Validate langRestrict
+  // Language validation
   if (langRestrict !== null) {
-    // Allow common language codes (2-3 characters, letters only)
     if (!/^[a-z]{2,3}$/i.test(langRestrict)) {
-      errors.push('langRestrict must be a valid 2-3 character language code');
+      errors.push("langRestrict must be a valid 2-3 character language code");
     } else {
-      sanitized.langRestrict = langRestrict.toLowerCase();
+      sanitized.langRestrict = toLanguageCode(langRestrict);
     }
   }
   
-  // Calculate includeTranslations
-  sanitized.includeTranslations = sanitized.langRestrict !== 'en';
-  
-  return { errors, sanitized };
-}
-
-/**
- * Validate and sanitize ISBN parameter
- */
-function validateISBN(isbn) {
-  if (!isbn || typeof isbn !== 'string') {
-    return { error: 'ISBN parameter is required and must be a string' };
+  // Provider validation
+  if (provider !== null) {
+    const providerValidation = validateProviderParam(provider);
+    if (providerValidation.error) {
+      errors.push(providerValidation.error);
+    } else {
+      sanitized.provider = provider;
+    }
+  } else {
+    sanitized.provider = sanitized.cursor?.mode || "auto"; // Default to auto (ISBNdb first)
   }
   
-  // Clean ISBN - remove common separators and leading equals
-  const cleanedISBN = isbn
-    .replace(/^=+/, '') // Remove leading equals (common in CSV exports)
-    .replace(/[-\s]/g, '') // Remove hyphens and spaces
-    .replace(/[^0-9X]/gi, '') // Keep only numbers and X
-    .toUpperCase();
-  
-  // Validate ISBN format
-  if (cleanedISBN.length !== 10 && cleanedISBN.length !== 13) {
-    return { error: 'ISBN must be 10 or 13 characters long' };
-  }
+  // Providers get langRestrict itself; this flag only keeps pre-existing cache keys stable
+  sanitized.includeTranslations = sanitized.langRestrict !== "en";
   
-  // Basic ISBN-10/13 format validation
-  if (cleanedISBN.length === 10) {
-    // ISBN-10: 9 digits + check digit (0-9 or X)
-    if (!/^\d{9}[\dX]$/.test(cleanedISBN)) {
-      return { error: 'Invalid ISBN-10 format' };
-    }
+  // Fields validation - projection happens on the way out, so it stays out of the cache key
+  const parsedFields = parseFieldsParam(fields);
+  if (parsedFields.error) {
+    errors.push(parsedFields.error);
   } else {
-    // ISBN-13: 13 digits only
-    if (!/^\d{13}$/.test(cleanedISBN)) {
-      return { error: 'Invalid ISBN-13 format' };
-    }
+    sanitized.fields = parsedFields.fields;
   }
   
-  return { sanitized: cleanedISBN };
+  return { errors, sanitized };
 }
 
-/**
- * Rate limiting with enhanced security
- */
-async function checkRateLimitEnhanced(request, env) {
-  const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
-  const userAgent = request.headers.get('User-Agent') || 'unknown';
-  
-  // Enhanced rate limiting key includes IP and basic user agent fingerprint
-  const rateLimitKey = `ratelimit:${clientIP}:${btoa(userAgent).slice(0, 8)}`;
-  
-  // More restrictive limits for suspicious patterns
-  let maxRequests = 100;
-  const windowSize = 3600; // 1 hour
-  
-  // Detect suspicious patterns
-  if (userAgent.length < 10 || userAgent === 'unknown') {
-    maxRequests = 20; // Much lower limit for suspicious requests
+// fields=title,authors,imageLinks -> ["title", "authors", "imageLinks"]; null means everything
+function parseFieldsParam(value) {
+  if (value === null) {
+    return { fields: null };
   }
   
-  const current = await env.BOOKS_CACHE?.get(rateLimitKey);
-  const count = current ? parseInt(current) : 0;
-  
-  if (count >= maxRequests) {
-    return { 
-      allowed: false, 
-      retryAfter: windowSize,
-      reason: 'Rate limit exceeded'
-    };
+  const fields = [...new Set(value.split(",").map((field) => field.trim()).filter(Boolean))];
+  if (fields.length === 0 || fields.length > MAX_PROJECTION_FIELDS || !fields.every((field) => /^[a-zA-Z]+$/.test(field))) {
+    return { error: `fields must be a comma-separated list of up to ${MAX_PROJECTION_FIELDS} volumeInfo keys` };
+  }
+  return { fields };
+}
+
+// provider= on /search, /isbn, /isbn/batch and /admin/cache; absent means auto
+function validateProviderParam(provider) {
+  if (!provider) {
+    return { provider: "auto" };
   }
   
-  // Increment counter
-  const newCount = count + 1;
-  await env.BOOKS_CACHE?.put(rateLimitKey, newCount.toString(), { expirationTtl: windowSize });
-  
-  return { 
-    allowed: true, 
-    count: newCount, 
-    remaining: maxRequests - newCount 
-  };
+  const validProviders = [...getProviderParams(), "auto", "merge"];
+  if (!validProviders.includes(provider)) {
+    return { error: `provider must be one of: ${validProviders.join(", ")}` };
+  }
+  return { provider };
 }
 
-// ========================================
-// HYBRID R2 + KV CACHE SYSTEM
-// ========================================
+const SEARCH_SORT_OPTIONS = ["relevance", "newest", "oldest", "popularity"];
 
-/**
- * Enhanced cache system using R2 (cold cache) + KV (hot cache)
- * - KV: Fast access, limited capacity (100k reads/day, 1GB)
- * - R2: High capacity, slower access (10M reads/month, 10GB free)
- */
+// Providers stop paging at around 1000 results for a single query
+const MAX_SEARCH_START_INDEX = 960;
 
-// Generate cache keys for different request types
-const CACHE_KEYS = {
-  search: (query, maxResults, sortBy, translations) => 
-    `search/${btoa(query).replace(/[/+=]/g, '_')}/${maxResults}/${sortBy}/${translations}.json`,
-  isbn: (isbn) => `isbn/${isbn}.json`
-};
+const MAX_PROJECTION_FIELDS = 30;
+
+// nextPage cursors are opaque to clients: base64url JSON holding the provider mode that was
+// asked for, the provider that served the page, its position in the chain and the next offset
+function encodeSearchCursor({ mode, provider, position, startIndex }) {
+  const json = JSON.stringify({ m: mode, p: provider, i: position, o: startIndex });
+  return btoa(json).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
 
-/**
- * Get cached data with hot/cold cache fallback
- */
-async function getCachedData(cacheKey, env) {
+function decodeSearchCursor(cursor) {
   try {
-    // Try hot cache (KV) first - fastest access
-    const kvData = await env.BOOKS_CACHE?.get(cacheKey);
-    if (kvData) {
-      return {
-        data: JSON.parse(kvData),
-        source: 'KV-HOT'
-      };
+    const json = atob(cursor.replace(/-/g, "+").replace(/_/g, "/"));
+    const { m, p, i, o } = JSON.parse(json);
+    if (typeof m !== "string" || typeof p !== "string" || !Number.isInteger(i) || !Number.isInteger(o) || i < 0 || o < 0) {
+      return null;
     }
-    
-    // Try cold cache (R2) second - higher capacity
-    if (env.BOOKS_R2) {
-      const r2Object = await env.BOOKS_R2.get(cacheKey);
-      if (r2Object) {
-        const jsonData = await r2Object.text();
-        const data = JSON.parse(jsonData);
-        
-        // Check if data is still fresh (respect TTL in metadata)
-        const metadata = r2Object.customMetadata;
-        if (metadata?.ttl && Date.now() > parseInt(metadata.ttl)) {
-          // Data expired, remove from R2
-          await env.BOOKS_R2.delete(cacheKey);
-          return null;
-        }
-        
-        // Promote to hot cache for future requests (1 day hot cache)
-        const promoteData = JSON.stringify(data);
-        env.waitUntil(env.BOOKS_CACHE?.put(cacheKey, promoteData, { expirationTtl: 86400 }));
-        
-        return {
-          data: data,
-          source: 'R2-COLD'
-        };
-      }
+    // Cursors come back from clients, so they get the same checks as the query parameters
+    if (validateProviderParam(m).error || o > MAX_SEARCH_START_INDEX) {
+      return null;
     }
-    
-    return null;
-  } catch (error) {
-    console.warn(`Cache read error for key ${cacheKey}:`, error.message);
+    return { mode: m, provider: p, position: i, startIndex: o };
+  } catch {
     return null;
   }
 }
 
-/**
- * Store data in both cache tiers with appropriate TTLs
- */
-async function setCachedData(cacheKey, data, ttlSeconds, env, ctx) {
-  const jsonData = JSON.stringify(data);
-  const promises = [];
-  
-  try {
-    // Store in R2 for long-term cache (cold cache)
-    if (env.BOOKS_R2) {
-      promises.push(
-        env.BOOKS_R2.put(cacheKey, jsonData, {
-          httpMetadata: { 
-            contentType: 'application/json',
-            cacheControl: `max-age=${ttlSeconds}`
-          },
-          customMetadata: { 
-            ttl: (Date.now() + ttlSeconds * 1000).toString(),
-            created: Date.now().toString(),
-            type: cacheKey.startsWith('search') ? 'search' : 'isbn'
-          }
-        })
-      );
-    }
-    
-    // Store in KV for hot access with shorter TTL to manage limits
-    const kvTtl = Math.min(ttlSeconds, 86400); // Max 1 day in KV to manage capacity
-    promises.push(
-      env.BOOKS_CACHE?.put(cacheKey, jsonData, { expirationTtl: kvTtl })
-    );
-    
-    // Execute both cache operations
-    if (ctx && ctx.waitUntil) {
-      ctx.waitUntil(Promise.all(promises.filter(Boolean)));
-    } else {
-      await Promise.all(promises.filter(Boolean));
-    }
-    
-  } catch (error) {
-    console.warn(`Cache write error for key ${cacheKey}:`, error.message);
-    // Don't fail the request if caching fails
+// A cursor resumes the chain at the provider that served the previous page, and
+// searchWithProviders tries only that one, so page 2 of an ISBNdb result set never silently
+// comes from Google. If PROVIDER_ORDER changed since the cursor was issued, its recorded
+// position is the best remaining guess.
+function getCursorPosition(chain, cursor) {
+  if (!cursor) {
+    return 0;
   }
+  const position = chain.findIndex((adapter) => adapter.name === cursor.provider);
+  return position !== -1 ? position : Math.max(0, Math.min(cursor.position, chain.length - 1));
 }
 
-// Main book search handler
-async function handleBookSearch(request, env, ctx) {
-  const url = new URL(request.url);
+function hasMoreResults(result, { startIndex, maxResults }) {
+  const nextIndex = startIndex + maxResults;
+  if (nextIndex > MAX_SEARCH_START_INDEX) {
+    return false;
+  }
+  if (result.totalItems) {
+    return result.totalItems > nextIndex;
+  }
+  return result.items.length >= maxResults;
+}
+
+function validateISBN(isbn) {
+  if (!isbn || typeof isbn !== "string") {
+    return { error: "ISBN parameter is required and must be a string" };
+  }
   
-  // Validate and sanitize input parameters
-  const validation = validateSearchParams(url);
-  if (validation.errors.length > 0) {
-    return new Response(JSON.stringify({ 
-      error: 'Invalid parameters',
-      details: validation.errors
-    }), {
-      status: 400,
-      headers: getCORSHeaders()
-    });
+  const cleanedISBN = isbn.replace(/^=+/, "").replace(/[-\s]/g, "").replace(/[^0-9X]/gi, "").toUpperCase();
+  
+  if (cleanedISBN.length !== 10 && cleanedISBN.length !== 13) {
+    return { error: "ISBN must be 10 or 13 characters long" };
   }
   
-  const { query, maxResults, sortBy, includeTranslations } = validation.sanitized;
-
-  // Enhanced rate limiting check
-  const rateLimitResult = await checkRateLimitEnhanced(request, env);
-  if (!rateLimitResult.allowed) {
-    return new Response(JSON.stringify({ 
-      error: 'Rate limit exceeded',
-      retryAfter: rateLimitResult.retryAfter 
-    }), {
-      status: 429,
-      headers: {
-        ...getCORSHeaders(),
-        'Retry-After': rateLimitResult.retryAfter.toString()
-      }
-    });
+  if (cleanedISBN.length === 10) {
+    if (!/^\d{9}[\dX]$/.test(cleanedISBN)) {
+      return { error: "Invalid ISBN-10 format" };
+    }
+    if (!isValidISBN10Checksum(cleanedISBN)) {
+      return { error: "Invalid ISBN-10 check digit - the ISBN is mistyped or was misread" };
+    }
+  } else {
+    if (!/^\d{13}$/.test(cleanedISBN)) {
+      return { error: "Invalid ISBN-13 format" };
+    }
+    if (!isValidISBN13Checksum(cleanedISBN)) {
+      return { error: "Invalid ISBN-13 check digit - the ISBN is mistyped or was misread" };
+    }
   }
+  
+  // Canonicalize to ISBN-13 so both forms share one cache entry and one upstream call
+  const isbn13 = cleanedISBN.length === 10 ? convertISBN10To13(cleanedISBN) : cleanedISBN;
+  
+  return {
+    sanitized: isbn13,
+    isbn13,
+    isbn10: convertISBN13To10(isbn13)
+  };
+}
 
-  // Check hybrid cache first (KV hot cache → R2 cold cache)
-  const cacheKey = CACHE_KEYS.search(query, maxResults, sortBy, includeTranslations);
-  const cached = await getCachedData(cacheKey, env);
-  if (cached) {
-    return new Response(JSON.stringify(cached.data), {
-      headers: {
-        ...getCORSHeaders(),
-        'X-Cache': `HIT-${cached.source}`,
-        'X-Cache-Source': cached.source
-      }
-    });
+// ISBN-10: weights 10..1, sum must be divisible by 11 ("X" = 10 in the last position)
+function isValidISBN10Checksum(isbn10) {
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn10[i] === "X" ? 10 : parseInt(isbn10[i]);
+    sum += digit * (10 - i);
   }
+  return sum % 11 === 0;
+}
 
-  // Try providers in order
-  let result = null;
-  let provider = null;
+// ISBN-13: alternating weights 1 and 3, sum must be divisible by 10
+function isValidISBN13Checksum(isbn13) {
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    sum += parseInt(isbn13[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return sum % 10 === 0;
+}
 
-  // 1. Google Books API (primary)
-  try {
-    result = await searchGoogleBooks(query, maxResults, sortBy, includeTranslations, env);
-    provider = 'google-books';
-  } catch (error) {
-    console.error('Google Books failed:', error.message);
+function convertISBN10To13(isbn10) {
+  const base = `978${isbn10.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += parseInt(base[i]) * (i % 2 === 0 ? 1 : 3);
   }
+  return `${base}${(10 - (sum % 10)) % 10}`;
+}
 
-  // 2. ISBNdb (fallback)
-  if (!result || result.items?.length === 0) {
-    try {
-      result = await searchISBNdb(query, maxResults, env);
-      provider = 'isbndb';
-    } catch (error) {
-      console.error('ISBNdb failed:', error.message);
-    }
+// Only 978-prefixed ISBN-13s have an ISBN-10 equivalent
+function convertISBN13To10(isbn13) {
+  if (!isbn13.startsWith("978")) {
+    return null;
+  }
+  
+  const base = isbn13.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += parseInt(base[i]) * (10 - i);
   }
+  const check = (11 - (sum % 11)) % 11;
+  return `${base}${check === 10 ? "X" : check}`;
+}
 
-  // 3. Open Library (fallback)
-  if (!result || result.items?.length === 0) {
-    try {
-      result = await searchOpenLibrary(query, maxResults, env);
-      provider = 'open-library';
-    } catch (error) {
-      console.error('Open Library failed:', error.message);
-    }
+// List both ISBN forms first on a volume, whichever provider answered
+function withCanonicalIdentifiers(item, isbn13) {
+  if (!item) {
+    return item;
   }
+  
+  const isbn10 = convertISBN13To10(isbn13);
+  const volumeInfo = item.volumeInfo || (item.volumeInfo = {});
+  const identifiers = (volumeInfo.industryIdentifiers || []).filter((identifier) => {
+    const value = identifier?.identifier?.replace(/[^0-9X]/gi, "").toUpperCase();
+    return value && value !== isbn13 && value !== isbn10;
+  });
+  
+  volumeInfo.industryIdentifiers = [
+    { type: "ISBN_13", identifier: isbn13 },
+    isbn10 && { type: "ISBN_10", identifier: isbn10 },
+    ...identifiers
+  ].filter(Boolean);
+  
+  return item;
+}
 
-  // No additional fallbacks - WorldCat removed due to lack of implementation
+// Quotas per API key tier. Keys may override hourlyQuota/dailyQuota individually;
+// requests without a key fall into "anonymous". The shipped app sends no key yet, so
+// anonymous stays at the old per-client limit with no daily cap until it does.
+const API_KEY_TIERS = {
+  anonymous: { hourlyQuota: 100, dailyQuota: null },
+  free: { hourlyQuota: 200, dailyQuota: 2000 },
+  standard: { hourlyQuota: 1000, dailyQuota: 10000 },
+  premium: { hourlyQuota: 5000, dailyQuota: 50000 }
+};
 
-  if (!result) {
-    return new Response(JSON.stringify({ 
-      error: 'All book providers failed',
-      items: []
-    }), {
-      status: 503,
-      headers: getCORSHeaders()
-    });
-  }
+async function sha256Hex(input) {
+  const hashBuffer = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(input));
+  return Array.from(new Uint8Array(hashBuffer)).map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
 
-  // Add provider metadata
-  result.provider = provider;
-  result.cached = false;
+// Compare digests rather than raw strings so timing doesn't leak the secret
+async function secretsMatch(provided, expected) {
+  const [a, b] = await Promise.all([sha256Hex(provided), sha256Hex(expected)]);
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
 
-  const response = JSON.stringify(result);
+function getApiKeyFromRequest(request) {
+  const headerKey = request.headers.get("X-Api-Key");
+  if (headerKey) {
+    return headerKey.trim();
+  }
+  
+  const authorization = request.headers.get("Authorization");
+  if (authorization) {
+    return authorization.replace(/^Bearer\s+/i, "").trim();
+  }
+  
+  return null;
+}
 
-  // Cache successful results using hybrid system
-  if (result.items?.length > 0) {
-    // 30 days for search results - they rarely change
-    setCachedData(cacheKey, result, 2592000, env, ctx);
+// Resolve the calling app from its API key. Keys are stored in KV under
+// apikey:<sha256 of key> - the raw key is only ever shown once, at issue time.
+async function authenticateClient(request, env) {
+  const apiKey = getApiKeyFromRequest(request);
+  if (!apiKey) {
+    return { anonymous: true, tier: "anonymous", ...API_KEY_TIERS.anonymous };
+  }
+  
+  const record = await env.BOOKS_CACHE?.get(`apikey:${await sha256Hex(apiKey)}`, "json");
+  if (!record) {
+    return { error: "Invalid API key" };
+  }
+  if (record.revokedAt) {
+    return { error: "API key has been revoked" };
   }
+  
+  const tier = API_KEY_TIERS[record.tier] || API_KEY_TIERS.free;
+  return {
+    anonymous: false,
+    id: record.id,
+    name: record.name,
+    tier: record.tier,
+    hourlyQuota: record.hourlyQuota || tier.hourlyQuota,
+    dailyQuota: record.dailyQuota || tier.dailyQuota
+  };
+}
 
-  return new Response(response, {
+function createUnauthorizedResponse(message) {
+  return new Response(JSON.stringify({
+    error: message
+  }), {
+    status: 401,
     headers: {
       ...getCORSHeaders(),
-      'X-Cache': 'MISS',
-      'X-Provider': provider,
-      'X-Cache-System': env.BOOKS_R2 ? 'R2+KV-Hybrid' : 'KV-Only'
+      "WWW-Authenticate": `Bearer realm="books-api-proxy"`
     }
   });
 }
 
-// ISBN lookup handler
-async function handleISBNLookup(request, env, ctx) {
-  const url = new URL(request.url);
-  const rawISBN = url.searchParams.get('isbn');
-  
-  // Validate and sanitize ISBN
-  const validation = validateISBN(rawISBN);
-  if (validation.error) {
-    return new Response(JSON.stringify({ 
-      error: validation.error 
-    }), {
-      status: 400,
+// Admin routes are guarded by the ADMIN_SECRET secret sent as a bearer token
+async function requireAdmin(request, env) {
+  if (!env.ADMIN_SECRET) {
+    return new Response(JSON.stringify({ error: "Admin API not configured" }), {
+      status: 503,
       headers: getCORSHeaders()
     });
   }
   
-  const isbn = validation.sanitized;
-
-  // Check hybrid cache first (KV hot cache → R2 cold cache)
-  const cacheKey = CACHE_KEYS.isbn(isbn);
-  const cached = await getCachedData(cacheKey, env);
-  if (cached) {
-    return new Response(JSON.stringify(cached.data), {
-      headers: {
-        ...getCORSHeaders(),
-        'X-Cache': `HIT-${cached.source}`,
-        'X-Cache-Source': cached.source
-      }
-    });
+  const authorization = request.headers.get("Authorization") || "";
+  const token = authorization.replace(/^Bearer\s+/i, "").trim();
+  if (!token || !(await secretsMatch(token, env.ADMIN_SECRET))) {
+    return createUnauthorizedResponse("Admin authorization required");
   }
+  
+  return null;
+}
 
-  // Try providers for ISBN lookup
-  let result = null;
-  let provider = null;
-
-  // Google Books ISBN lookup
-  try {
-    result = await lookupISBNGoogle(isbn, env);
-    provider = 'google-books';
-  } catch (error) {
-    console.error('Google Books ISBN lookup failed:', error.message);
+// Issue (POST /admin/keys), list (GET /admin/keys) and revoke (DELETE /admin/keys/{id}) app keys
+async function handleAdminKeys(request, env) {
+  const denied = await requireAdmin(request, env);
+  if (denied) {
+    return denied;
   }
-
-  // ISBNdb ISBN lookup
-  if (!result) {
+  
+  if (!env.BOOKS_CACHE) {
+    return new Response(JSON.stringify({ error: "BOOKS_CACHE KV binding not configured" }), {
+      status: 503,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  const url = new URL(request.url);
+  const keyId = url.pathname.replace(/^\/admin\/keys\/?/, "");
+  
+  if (request.method === "GET" && !keyId) {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await env.BOOKS_CACHE.list({ prefix: "apikey:", cursor });
+      for (const entry of page.keys) {
+        keys.push(entry.metadata || { id: entry.name.slice("apikey:".length, "apikey:".length + 16) });
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    
+    return new Response(JSON.stringify({ keys }), {
+      headers: getCORSHeaders()
+    });
+  }
+  
+  if (request.method === "POST" && !keyId) {
+    let body;
     try {
-      result = await lookupISBNISBNdb(isbn, env);
-      provider = 'isbndb';
+      body = await request.json();
     } catch (error) {
-      console.error('ISBNdb ISBN lookup failed:', error.message);
+      body = null;
+    }
+    
+    const errors = [];
+    if (!body || typeof body.name !== "string" || body.name.trim().length === 0) {
+      errors.push(`"name" is required`);
+    }
+    if (body?.tier !== undefined && (!API_KEY_TIERS[body.tier] || body.tier === "anonymous")) {
+      errors.push(`"tier" must be one of: ${Object.keys(API_KEY_TIERS).filter((tier) => tier !== "anonymous").join(", ")}`);
+    }
+    for (const field of ["hourlyQuota", "dailyQuota"]) {
+      if (body?.[field] !== undefined && (!Number.isInteger(body[field]) || body[field] < 1)) {
+        errors.push(`"${field}" must be a positive integer`);
+      }
+    }
+    if (errors.length > 0) {
+      return new Response(JSON.stringify({ error: "Invalid parameters", details: errors }), {
+        status: 400,
+        headers: getCORSHeaders()
+      });
+    }
+    
+    const randomBytes = crypto.getRandomValues(new Uint8Array(24));
+    const apiKey = `bt_${Array.from(randomBytes).map((byte) => byte.toString(16).padStart(2, "0")).join("")}`;
+    const hash = await sha256Hex(apiKey);
+    const record = {
+      id: hash.slice(0, 16),
+      name: body.name.trim(),
+      tier: body.tier || "free",
+      hourlyQuota: body.hourlyQuota || null,
+      dailyQuota: body.dailyQuota || null,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    
+    await env.BOOKS_CACHE.put(`apikey:${hash}`, JSON.stringify(record), { metadata: record });
+    
+    return new Response(JSON.stringify({ ...record, apiKey }), {
+      status: 201,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  if (request.method === "DELETE" && keyId) {
+    const page = await env.BOOKS_CACHE.list({ prefix: `apikey:${keyId}` });
+    const entry = /^[0-9a-f]{16}$/.test(keyId) ? page.keys[0] : null;
+    if (!entry) {
+      return new Response(JSON.stringify({ error: "API key not found", id: keyId }), {
+        status: 404,
+        headers: getCORSHeaders()
+      });
     }
+    
+    const record = await env.BOOKS_CACHE.get(entry.name, "json");
+    record.revokedAt = new Date().toISOString();
+    await env.BOOKS_CACHE.put(entry.name, JSON.stringify(record), { metadata: record });
+    
+    return new Response(JSON.stringify(record), {
+      headers: getCORSHeaders()
+    });
   }
+  
+  return new Response(JSON.stringify({ error: "Method not allowed" }), {
+    status: 405,
+    headers: getCORSHeaders()
+  });
+}
 
-  // Open Library ISBN lookup
-  if (!result) {
+// Relative cost of each route against a client's quota - a batch or merge
+// request does far more upstream work than a single (often cached) lookup.
+// Override per deployment with the RATE_LIMIT_COSTS var, e.g. '{"isbn-batch": 20}'.
+const DEFAULT_RATE_LIMIT_COSTS = {
+  search: 1,
+  isbn: 1,
+  "isbn-batch": 1, // per started block of BATCH_LOOKUPS_PER_RATE_LIMIT_UNIT upstream lookups
+  cover: 1,
+  author: 2,
+  "author-profile": 2,
+  editions: 1,
+  merge: 3
+};
+
+function getRateLimitCost(route, provider, env) {
+  let costs = DEFAULT_RATE_LIMIT_COSTS;
+  if (env.RATE_LIMIT_COSTS) {
     try {
-      result = await lookupISBNOpenLibrary(isbn, env);
-      provider = 'open-library';
+      costs = { ...DEFAULT_RATE_LIMIT_COSTS, ...JSON.parse(env.RATE_LIMIT_COSTS) };
     } catch (error) {
-      console.error('Open Library ISBN lookup failed:', error.message);
+      console.warn("Invalid RATE_LIMIT_COSTS, using defaults:", error.message);
     }
   }
+  
+  const baseCost = costs[route] ?? 1;
+  return provider === "merge" ? baseCost * (costs.merge ?? 1) : baseCost;
+}
 
-  if (!result) {
-    return new Response(JSON.stringify({ 
-      error: 'ISBN not found in any provider',
-      isbn: isbn
-    }), {
-      status: 404,
-      headers: getCORSHeaders()
+// Sliding-window limit per client, counted by the RateLimiter Durable Object so
+// concurrent requests see one consistent count. API key holders are limited per key
+// on their tier's hourly and daily quotas; everyone else shares the anonymous tier
+// per IP + user agent fingerprint.
+async function checkRateLimitEnhanced(request, env, cost = 1, client = null) {
+  let rateLimitKey;
+  let windows;
+  
+  if (client && !client.anonymous) {
+    rateLimitKey = `ratelimit:key:${client.id}`;
+    windows = [
+      { limit: client.hourlyQuota, windowSeconds: 3600 },
+      { limit: client.dailyQuota, windowSeconds: 86400 }
+    ];
+  } else {
+    const clientIP = request.headers.get("CF-Connecting-IP") || "unknown";
+    const userAgent = request.headers.get("User-Agent") || "unknown";
+    rateLimitKey = `ratelimit:${clientIP}:${btoa(userAgent).slice(0, 8)}`;
+    
+    const tier = API_KEY_TIERS.anonymous;
+    let hourlyQuota = tier.hourlyQuota;
+    if (userAgent.length < 10 || userAgent === "unknown") {
+      hourlyQuota = Math.min(hourlyQuota, 20);
+    }
+    windows = [
+      { limit: hourlyQuota, windowSeconds: 3600 },
+      { limit: tier.dailyQuota, windowSeconds: 86400 }
+    ].filter((window) => window.limit);
+  }
+  
+  try {
+    if (!env.RATE_LIMITER) {
+      throw new Error("RATE_LIMITER Durable Object binding not configured");
+    }
+    
+    const limiter = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(rateLimitKey));
+    const response = await limiter.fetch("https://rate-limiter/window", {
+      method: "POST",
+      body: JSON.stringify({ windows, cost })
     });
+    const result = await response.json();
+    
+    if (!result.allowed) {
+      return {
+        allowed: false,
+        retryAfter: result.retryAfter,
+        limit: result.limit,
+        remaining: result.remaining,
+        reset: result.reset,
+        reason: "Rate limit exceeded"
+      };
+    }
+    
+    return {
+      allowed: true,
+      count: result.used,
+      limit: result.limit,
+      remaining: result.remaining,
+      reset: result.reset
+    };
+  } catch (error) {
+    console.warn('Rate limiting unavailable, allowing request:', error.message);
+    return { allowed: true, count: 0, limit: windows[0].limit, remaining: windows[0].limit, reset: windows[0].windowSeconds };
   }
+}
 
-  result.provider = provider;
-  const response = JSON.stringify(result);
-
-  // Cache ISBN lookups using hybrid system - 1 year TTL (book metadata is permanent)
-  setCachedData(cacheKey, result, 31536000, env, ctx);
+// Standard RateLimit-* headers (IETF draft) so clients don't have to guess their budget
+function getRateLimitHeaders(rateLimitResult) {
+  return {
+    "RateLimit-Limit": rateLimitResult.limit.toString(),
+    "RateLimit-Remaining": rateLimitResult.remaining.toString(),
+    "RateLimit-Reset": rateLimitResult.reset.toString()
+  };
+}
 
-  return new Response(response, {
+function createRateLimitedResponse(rateLimitResult) {
+  return new Response(JSON.stringify({
+    error: "Rate limit exceeded",
+    retryAfter: rateLimitResult.retryAfter
+  }), {
+    status: 429,
     headers: {
       ...getCORSHeaders(),
-      'X-Cache': 'MISS',
-      'X-Provider': provider,
-      'X-Cache-System': env.BOOKS_R2 ? 'R2+KV-Hybrid' : 'KV-Only'
+      ...getRateLimitHeaders(rateLimitResult),
+      "Retry-After": rateLimitResult.retryAfter.toString()
     }
   });
 }
 
-// Google Books API implementation
-async function searchGoogleBooks(query, maxResults, sortBy, includeTranslations, env) {
-  // Use your CloudFlare secrets: google1 as primary, google2 as fallback
-  const apiKey = env.google1 || env.google2;
-  
-  const params = new URLSearchParams({
-    q: query,
-    maxResults: maxResults.toString(),
-    printType: 'books',
-    projection: 'full',
-    orderBy: sortBy,
-    key: apiKey
-  });
+// Bump when the cached payload shape or key normalization changes - older keys are swept by cleanupLegacyCacheKeys
+const CACHE_SCHEMA_VERSION = "v2";
 
-  if (!includeTranslations) {
-    params.append('langRestrict', 'en');
+function normalizeCacheParam(value) {
+  if (typeof value === "string") {
+    return value.trim().toLowerCase().replace(/\s+/g, " ");
   }
+  return value ?? null;
+}
 
-  const response = await fetch(`https://www.googleapis.com/books/v1/volumes?${params}`);
-  
-  if (!response.ok) {
-    throw new Error(`Google Books API error: ${response.status}`);
-  }
+// Deterministic, versioned cache keys - expiry is decided only by the stored TTL metadata
+async function generateCacheKey(type, ...params) {
+  const input = JSON.stringify({ version: CACHE_SCHEMA_VERSION, type, params: params.map(normalizeCacheParam) });
+  const hashHex = await sha256Hex(input);
+  return `${type}/${CACHE_SCHEMA_VERSION}/${hashHex.slice(0, 24)}.json`;
+}
+
+// Expired R2 entries stay usable: served immediately while a refresh runs in the
+// background for this long past expiry, and as a last resort when every provider fails
+const STALE_WHILE_REVALIDATE_SECONDS = 7 * 86400;
 
-  return await response.json();
+async function getCachedData(cacheKey, env, ctx) {
+  try {
+    // Check KV (hot cache) first - KV entries never outlive their R2 TTL, so they are always fresh
+    const kvEntry = await env.BOOKS_CACHE?.getWithMetadata(cacheKey);
+    if (kvEntry?.value) {
+      try {
+        const created = parseInt(kvEntry.metadata?.created);
+        return {
+          data: JSON.parse(kvEntry.value),
+          source: "KV-HOT",
+          stale: false,
+          age: isNaN(created) ? null : Math.max(0, Math.floor((Date.now() - created) / 1000))
+        };
+      } catch (parseError) {
+        console.warn(`KV cache parse error for key ${cacheKey}:`, parseError.message);
+        // Remove corrupted cache entry
+        await env.BOOKS_CACHE?.delete(cacheKey);
+      }
+    }
+    
+    // Check R2 (cold cache) if available
+    if (env.BOOKS_R2) {
+      const r2Object = await env.BOOKS_R2.get(cacheKey);
+      if (r2Object) {
+        try {
+          const jsonData = await r2Object.text();
+          const data = JSON.parse(jsonData);
+          
+          // FIXED: Safe TTL parsing
+          const metadata = r2Object.customMetadata;
+          const created = parseInt(metadata?.created);
+          const age = isNaN(created) ? null : Math.max(0, Math.floor((Date.now() - created) / 1000));
+          let remainingSeconds = 86400;
+          if (metadata?.ttl) {
+            const ttl = parseInt(metadata.ttl);
+            if (!isNaN(ttl) && Date.now() > ttl) {
+              // Expired - keep it and let the caller decide between revalidating and stale-if-error
+              return {
+                data,
+                source: "R2-COLD",
+                stale: true,
+                age,
+                staleSeconds: Math.floor((Date.now() - ttl) / 1000)
+              };
+            }
+            if (!isNaN(ttl)) {
+              remainingSeconds = Math.floor((ttl - Date.now()) / 1000);
+            }
+          }
+          
+          // Promote to KV cache, never outliving the R2 entry (KV minimum TTL is 60s)
+          const promoteTtl = Math.max(60, Math.min(remainingSeconds, 86400));
+          const promotion = env.BOOKS_CACHE?.put(cacheKey, jsonData, {
+            expirationTtl: promoteTtl,
+            metadata: { created: metadata?.created || Date.now().toString() }
+          });
+          if (ctx && ctx.waitUntil) {
+            ctx.waitUntil(Promise.resolve(promotion));
+          }
+          
+          return {
+            data,
+            source: "R2-COLD",
+            stale: false,
+            age
+          };
+        } catch (parseError) {
+          console.warn(`R2 cache parse error for key ${cacheKey}:`, parseError.message);
+          // Remove corrupted cache entry
+          await env.BOOKS_R2.delete(cacheKey);
+        }
+      }
+    }
+    
+    return null;
+  } catch (error) {
+    console.warn(`Cache read error for key ${cacheKey}:`, error.message);
+    return null;
+  }
 }
 
-async function lookupISBNGoogle(isbn, env) {
-  // Use your CloudFlare secrets: google1 as primary, google2 as fallback
-  const apiKey = env.google1 || env.google2;
+// Build the response for a cache hit, flagging stale copies so the client can decide whether to show them
+function createCachedResponse(cached, staleReason, extraHeaders = {}) {
+  const headers = {
+    ...getCORSHeaders(),
+    ...extraHeaders,
+    "X-Cache": cached.stale ? "STALE" : `HIT-${cached.source}`,
+    "X-Cache-Source": cached.source
+  };
   
-  const params = new URLSearchParams({
-    q: `isbn:${isbn}`,
-    maxResults: '1',
-    printType: 'books',
-    projection: 'full',
-    key: apiKey
-  });
+  if (cached.age !== null && cached.age !== undefined) {
+    headers["Age"] = cached.age.toString();
+  }
+  if (cached.stale) {
+    headers["X-Cache-Stale-Reason"] = staleReason;
+  }
+  
+  return new Response(JSON.stringify(cached.data), { headers });
+}
+
+// Top-level volume keys a projection keeps; Google's saleInfo, accessInfo and searchInfo
+// are what made search-as-you-type payloads heavy, so everything else goes
+const PROJECTED_VOLUME_KEYS = ["kind", "id", "provider", "cached", "mergedProviders"];
 
-  const response = await fetch(`https://www.googleapis.com/books/v1/volumes?${params}`);
+// Trim a books#volume to the requested volumeInfo keys. Caches always hold the full
+// payload, so this runs on every response - fresh, cached or stale alike.
+function projectVolume(volume, fields) {
+  if (!fields || !volume) {
+    return volume;
+  }
   
-  if (!response.ok) {
-    throw new Error(`Google Books ISBN API error: ${response.status}`);
+  const projected = {};
+  for (const key of PROJECTED_VOLUME_KEYS) {
+    if (volume[key] !== undefined) {
+      projected[key] = volume[key];
+    }
   }
-
-  const data = await response.json();
-  return data.items?.[0] || null;
+  projected.volumeInfo = pickFields(volume.volumeInfo || {}, fields);
+  if (volume.fieldSources) {
+    projected.fieldSources = pickFields(volume.fieldSources, fields);
+  }
+  return projected;
 }
 
-// Open Library API implementation
-async function searchOpenLibrary(query, maxResults, env) {
-  const params = new URLSearchParams({
-    q: query,
-    limit: maxResults.toString(),
-    fields: 'key,title,author_name,first_publish_year,isbn,publisher,language,subject,cover_i,edition_count',
-    format: 'json'
-  });
+// books#volumes keeps its own metadata (totalItems, sort, nextPage...) and projects each item
+function projectVolumes(volumes, fields) {
+  if (!fields || !volumes) {
+    return volumes;
+  }
+  return { ...volumes, items: (volumes.items || []).map((item) => projectVolume(item, fields)) };
+}
 
-  const response = await fetch(`https://openlibrary.org/search.json?${params}`);
-  
-  if (!response.ok) {
-    throw new Error(`Open Library API error: ${response.status}`);
+function pickFields(source, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
   }
+  return picked;
+}
 
-  const data = await response.json();
+// Refresh a stale entry after the response has gone out; a short KV marker keeps
+// concurrent requests for the same key from all going upstream
+function revalidateInBackground(cacheKey, ttlSeconds, refresh, env, ctx) {
+  if (!ctx || !ctx.waitUntil) {
+    return;
+  }
   
-  // Convert Open Library format to Google Books format
-  return {
-    kind: 'books#volumes',
-    totalItems: data.numFound,
-    items: data.docs.map(doc => ({
-      kind: 'books#volume',
-      id: doc.key?.replace('/works/', '') || '',
-      volumeInfo: {
-        title: doc.title || '',
-        authors: doc.author_name || [],
-        publishedDate: doc.first_publish_year?.toString() || '',
-        publisher: Array.isArray(doc.publisher) ? doc.publisher[0] : doc.publisher || '',
-        description: '', // Open Library doesn't provide descriptions in search
-        industryIdentifiers: doc.isbn ? doc.isbn.slice(0, 2).map(isbn => ({
-          type: isbn.length === 13 ? 'ISBN_13' : 'ISBN_10',
-          identifier: isbn
-        })) : [],
-        pageCount: null,
-        categories: doc.subject ? doc.subject.slice(0, 3) : [],
-        imageLinks: doc.cover_i ? {
-          thumbnail: `https://covers.openlibrary.org/b/id/${doc.cover_i}-M.jpg`,
-          smallThumbnail: `https://covers.openlibrary.org/b/id/${doc.cover_i}-S.jpg`
-        } : null,
-        language: Array.isArray(doc.language) ? doc.language[0] : doc.language || 'en',
-        previewLink: `https://openlibrary.org${doc.key}`,
-        infoLink: `https://openlibrary.org${doc.key}`
-      }
-    }))
-  };
+  ctx.waitUntil((async () => {
+    const markerKey = `revalidating:${cacheKey}`;
+    try {
+      if (await env.BOOKS_CACHE?.get(markerKey)) {
+        return;
+      }
+      await env.BOOKS_CACHE?.put(markerKey, "1", { expirationTtl: 60 });
+      
+      const fresh = await refresh();
+      if (fresh) {
+        await setCachedData(cacheKey, fresh, ttlSeconds, env);
+        console.log(`♻️ Revalidated stale cache entry ${cacheKey}`);
+      }
+    } catch (error) {
+      console.warn(`Background revalidation failed for ${cacheKey}:`, error.message);
+    }
+  })());
 }
 
-async function lookupISBNOpenLibrary(isbn, env) {
-  const response = await fetch(`https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`);
-  
-  if (!response.ok) {
-    throw new Error(`Open Library ISBN API error: ${response.status}`);
+async function setCachedData(cacheKey, data, ttlSeconds, env, ctx) {
+  try {
+    const jsonData = JSON.stringify(data);
+    const promises = [];
+    
+    // Store in R2 if available
+    if (env.BOOKS_R2) {
+      promises.push(
+        env.BOOKS_R2.put(cacheKey, jsonData, {
+          httpMetadata: {
+            contentType: "application/json",
+            cacheControl: `max-age=${ttlSeconds}`
+          },
+          customMetadata: {
+            ttl: (Date.now() + ttlSeconds * 1000).toString(),
+            created: Date.now().toString(),
+            type: cacheKey.startsWith("search") ? "search" : "isbn",
+            version: CACHE_SCHEMA_VERSION
+          }
+        })
+      );
+    }
+    
+    // Store in KV with limited TTL
+    const kvTtl = Math.min(ttlSeconds, 86400);
+    promises.push(
+      env.BOOKS_CACHE?.put(cacheKey, jsonData, {
+        expirationTtl: kvTtl,
+        metadata: { created: Date.now().toString() }
+      })
+    );
+    
+    if (ctx && ctx.waitUntil) {
+      ctx.waitUntil(Promise.all(promises.filter(Boolean)));
+    } else {
+      await Promise.all(promises.filter(Boolean));
+    }
+  } catch (error) {
+    console.warn(`Cache write error for key ${cacheKey}:`, error.message);
   }
+}
 
-  const data = await response.json();
-  const bookData = data[`ISBN:${isbn}`];
-  
-  if (!bookData) {
+// Negative cache for ISBNs no provider knows about - short-lived and KV only, kept
+// under its own prefix so it never shadows a real entry
+const NEGATIVE_CACHE_TTL_SECONDS = 3600;
+
+async function getNegativeCacheEntry(isbn, provider, env) {
+  try {
+    const cacheKey = await generateCacheKey("isbn-miss", isbn, provider);
+    const created = await env.BOOKS_CACHE?.get(cacheKey);
+    if (!created) {
+      return null;
+    }
+    const age = Math.floor((Date.now() - parseInt(created)) / 1000);
+    return { age: isNaN(age) ? 0 : Math.max(0, age) };
+  } catch (error) {
+    console.warn(`Negative cache read error for ISBN ${isbn}:`, error.message);
     return null;
   }
+}
 
-  // Convert to Google Books format
-  return {
-    kind: 'books#volume',
-    id: bookData.key?.replace('/books/', '') || isbn,
-    volumeInfo: {
-      title: bookData.title || '',
-      authors: bookData.authors?.map(author => author.name) || [],
-      publishedDate: bookData.publish_date || '',
-      publisher: bookData.publishers?.[0]?.name || '',
-      description: bookData.notes || '',
-      industryIdentifiers: [{
-        type: isbn.length === 13 ? 'ISBN_13' : 'ISBN_10',
-        identifier: isbn
-      }],
-      pageCount: bookData.number_of_pages || null,
-      categories: bookData.subjects?.map(subject => subject.name).slice(0, 3) || [],
-      imageLinks: bookData.cover ? {
-        thumbnail: bookData.cover.medium,
-        smallThumbnail: bookData.cover.small
-      } : null,
-      language: 'en', // Open Library doesn't always provide language
-      previewLink: bookData.url,
-      infoLink: bookData.url
+async function setNegativeCacheEntry(isbn, provider, env, ctx) {
+  try {
+    const cacheKey = await generateCacheKey("isbn-miss", isbn, provider);
+    const write = env.BOOKS_CACHE?.put(cacheKey, Date.now().toString(), { expirationTtl: NEGATIVE_CACHE_TTL_SECONDS });
+    if (ctx && ctx.waitUntil) {
+      ctx.waitUntil(Promise.resolve(write));
+    } else {
+      await write;
     }
-  };
+  } catch (error) {
+    console.warn(`Negative cache write error for ISBN ${isbn}:`, error.message);
+  }
 }
 
-// ISBNdb API implementation
-async function searchISBNdb(query, maxResults, env) {
-  const apiKey = env.ISBNdb1;
-  
-  if (!apiKey) {
-    throw new Error('ISBNdb API key not configured (ISBNdb1)');
+// One-time sweep of cache objects written before the current CACHE_SCHEMA_VERSION
+// (including the old daily-rotating hash keys). Runs a page per cron tick and keeps
+// its progress in KV so it resumes where it left off.
+const LEGACY_CLEANUP_PREFIXES = ["search/", "isbn/"];
+const LEGACY_CLEANUP_PAGE_SIZE = 500;
+
+async function cleanupLegacyCacheKeys(env) {
+  if (!env.BOOKS_R2) {
+    return { done: true, deleted: 0, skipped: "R2 not configured" };
   }
   
-  // ISBNdb supports different search endpoints
-  // For general queries, we'll use the title search endpoint
-  const baseUrl = 'https://api2.isbndb.com';
-  const endpoint = query.match(/^\d{10}(\d{3})?$/) ? `/book/${query}` : `/books/${encodeURIComponent(query)}`;
-  
-  const params = new URLSearchParams({
-    pageSize: Math.min(maxResults, 20).toString(), // ISBNdb has limits
-    page: '1'
-  });
+  const stateKey = `cache-cleanup:${CACHE_SCHEMA_VERSION}`;
+  const storedState = await env.BOOKS_CACHE?.get(stateKey);
+  const state = storedState ? JSON.parse(storedState) : { prefixIndex: 0, cursor: null, deleted: 0, done: false };
   
-  const url = `${baseUrl}${endpoint}?${params}`;
+  if (state.done) {
+    return state;
+  }
   
-  const response = await fetch(url, {
-    headers: {
-      'X-API-KEY': apiKey,
-      'Content-Type': 'application/json'
-    }
+  const prefix = LEGACY_CLEANUP_PREFIXES[state.prefixIndex];
+  const listing = await env.BOOKS_R2.list({
+    prefix,
+    cursor: state.cursor || undefined,
+    limit: LEGACY_CLEANUP_PAGE_SIZE
   });
   
-  if (!response.ok) {
-    throw new Error(`ISBNdb API error: ${response.status}`);
+  const legacyKeys = listing.objects
+    .map((object) => object.key)
+    .filter((key) => !key.startsWith(`${prefix}${CACHE_SCHEMA_VERSION}/`));
+  
+  if (legacyKeys.length > 0) {
+    await env.BOOKS_R2.delete(legacyKeys);
   }
   
-  const data = await response.json();
+  state.deleted += legacyKeys.length;
+  if (listing.truncated) {
+    state.cursor = listing.cursor;
+  } else {
+    state.prefixIndex += 1;
+    state.cursor = null;
+    state.done = state.prefixIndex >= LEGACY_CLEANUP_PREFIXES.length;
+  }
   
-  // Convert ISBNdb format to Google Books format
-  const books = data.books || [data.book].filter(Boolean);
+  await env.BOOKS_CACHE?.put(stateKey, JSON.stringify(state));
+  console.log(`🧹 Legacy cache cleanup: removed ${legacyKeys.length} objects under ${prefix} (${state.deleted} total)${state.done ? " - complete" : ""}`);
   
-  return {
-    kind: 'books#volumes',
-    totalItems: data.total || books.length,
-    items: books.map(book => ({
-      kind: 'books#volume',
-      id: book.isbn13 || book.isbn || '',
-      volumeInfo: {
-        title: book.title || '',
-        authors: book.authors ? book.authors.filter(Boolean) : [],
-        publishedDate: book.date_published || '',
-        publisher: book.publisher || '',
-        description: book.overview || book.synopsis || '',
-        industryIdentifiers: [
-          book.isbn13 && { type: 'ISBN_13', identifier: book.isbn13 },
-          book.isbn && { type: 'ISBN_10', identifier: book.isbn }
-        ].filter(Boolean),
-        pageCount: book.pages ? parseInt(book.pages) : null,
-        categories: book.subjects || [],
-        imageLinks: book.image ? {
-          thumbnail: book.image,
-          smallThumbnail: book.image
-        } : null,
-        language: book.language || 'en',
-        previewLink: `https://isbndb.com/book/${book.isbn13 || book.isbn}`,
-        infoLink: `https://isbndb.com/book/${book.isbn13 || book.isbn}`
-      }
-    }))
-  };
+  return state;
 }
 
-async function lookupISBNISBNdb(isbn, env) {
-  const apiKey = env.ISBNdb1;
+// Cache administration (admin secret required):
+//   GET    /admin/cache/entry?isbn=...          stored entry for an ISBN (or ?q=... for a search)
+//   DELETE /admin/cache/entry?isbn=...          purge that entry from KV and R2
+//   POST   /admin/cache/refresh?isbn=...        refetch from the providers and overwrite the entry
+//   DELETE /admin/cache?prefix=isbn/            purge a whole prefix, a page at a time
+//   GET    /admin/cache/stats                   object counts and bytes per prefix in R2
+const ADMIN_CACHE_PREFIXES = ["isbn/", "search/", "author/", "author-profile/", "editions/", "isbn-miss/"];
+const ADMIN_PURGE_PAGE_SIZE = 500;
+
+// Map the same query parameters the public routes take onto their cache key
+async function resolveAdminCacheTarget(url) {
+  const { provider, error: providerError } = validateProviderParam(url.searchParams.get("provider"));
+  if (providerError) {
+    return { error: providerError };
+  }
   
-  if (!apiKey) {
-    throw new Error('ISBNdb API key not configured (ISBNdb1)');
+  if (url.searchParams.has("isbn")) {
+    const validation = validateISBN(url.searchParams.get("isbn"));
+    if (validation.error) {
+      return { error: validation.error };
+    }
+    const isbn = validation.sanitized;
+    return {
+      type: "isbn",
+      cacheKey: await generateCacheKey("isbn", isbn, provider),
+      negativeKey: await generateCacheKey("isbn-miss", isbn, provider),
+      ttlSeconds: 31536000,
+      refresh: async (env) => {
+        const { result, usedProvider, errors } = await lookupISBNWithProviders(isbn, provider, env);
+        if (result) {
+          result.provider = usedProvider;
+        }
+        return { result, errors };
+      }
+    };
   }
   
-  const response = await fetch(`https://api2.isbndb.com/book/${isbn}`, {
-    headers: {
-      'X-API-KEY': apiKey,
-      'Content-Type': 'application/json'
+  if (url.searchParams.has("q")) {
+    const validation = validateSearchParams(url);
+    if (validation.errors.length > 0) {
+      return { error: validation.errors.join("; ") };
+    }
+    return {
+      type: "search",
+      cacheKey: await getSearchCacheKey(validation.sanitized),
+      ttlSeconds: 2592000,
+      refresh: async (env) => {
+        const { result, usedProvider, errors } = await searchWithProviders(validation.sanitized, env);
+        if (!isValidResult(result)) {
+          return { result: null, errors };
+        }
+        result.provider = usedProvider;
+        result.cached = false;
+        return { result, errors };
+      }
+    };
+  }
+  
+  if (url.searchParams.has("key")) {
+    const cacheKey = url.searchParams.get("key");
+    if (!ADMIN_CACHE_PREFIXES.some((prefix) => cacheKey.startsWith(prefix))) {
+      return { error: `key must start with one of: ${ADMIN_CACHE_PREFIXES.join(", ")}` };
     }
+    return { type: "key", cacheKey };
+  }
+  
+  return { error: 'Provide "isbn", "q" or "key" to identify the cache entry' };
+}
+
+async function handleAdminCache(request, env, ctx) {
+  const denied = await requireAdmin(request, env);
+  if (denied) {
+    return denied;
+  }
+  
+  const url = new URL(request.url);
+  const path = url.pathname;
+  const json = (body, status = 200) => new Response(JSON.stringify(body), {
+    status,
+    headers: getCORSHeaders()
   });
   
-  if (!response.ok) {
-    if (response.status === 404) {
-      return null; // ISBN not found
+  if (path === "/admin/cache/stats" && request.method === "GET") {
+    return json(await getCacheStats(env));
+  }
+  
+  if (path === "/admin/cache" && request.method === "DELETE") {
+    const prefix = url.searchParams.get("prefix");
+    if (!ADMIN_CACHE_PREFIXES.includes(prefix)) {
+      return json({ error: `prefix must be one of: ${ADMIN_CACHE_PREFIXES.join(", ")}` }, 400);
     }
-    throw new Error(`ISBNdb ISBN API error: ${response.status}`);
+    return json(await purgeCachePrefix(prefix, env));
   }
   
-  const data = await response.json();
-  const book = data.book;
+  if (path !== "/admin/cache/entry" && path !== "/admin/cache/refresh") {
+    return json({ error: "Endpoint not found" }, 404);
+  }
   
-  if (!book) {
-    return null;
+  const target = await resolveAdminCacheTarget(url);
+  if (target.error) {
+    return json({ error: target.error }, 400);
   }
   
-  // Convert to Google Books format
-  return {
-    kind: 'books#volume',
-    id: book.isbn13 || book.isbn || '',
-    volumeInfo: {
-      title: book.title || '',
-      authors: book.authors ? book.authors.filter(Boolean) : [],
-      publishedDate: book.date_published || '',
-      publisher: book.publisher || '',
-      description: book.overview || book.synopsis || '',
-      industryIdentifiers: [
-        book.isbn13 && { type: 'ISBN_13', identifier: book.isbn13 },
-        book.isbn && { type: 'ISBN_10', identifier: book.isbn }
-      ].filter(Boolean),
-      pageCount: book.pages ? parseInt(book.pages) : null,
-      categories: book.subjects || [],
-      imageLinks: book.image ? {
-        thumbnail: book.image,
-        smallThumbnail: book.image
+  if (path === "/admin/cache/entry" && request.method === "GET") {
+    const [kvEntry, r2Object, negative] = await Promise.all([
+      env.BOOKS_CACHE?.getWithMetadata(target.cacheKey),
+      env.BOOKS_R2?.get(target.cacheKey),
+      target.negativeKey ? env.BOOKS_CACHE?.get(target.negativeKey) : null
+    ]);
+    
+    const r2Data = r2Object ? await r2Object.text() : null;
+    const found = Boolean(kvEntry?.value || r2Object);
+    
+    return json({
+      key: target.cacheKey,
+      found,
+      kv: kvEntry?.value ? { metadata: kvEntry.metadata || null } : null,
+      r2: r2Object ? {
+        size: r2Object.size,
+        uploaded: r2Object.uploaded,
+        customMetadata: r2Object.customMetadata,
+        expired: Boolean(r2Object.customMetadata?.ttl && Date.now() > parseInt(r2Object.customMetadata.ttl))
       } : null,
-      language: book.language || 'en',
-      previewLink: `https://isbndb.com/book/${book.isbn13 || book.isbn}`,
-      infoLink: `https://isbndb.com/book/${book.isbn13 || book.isbn}`
+      negative: negative ? { created: new Date(parseInt(negative)).toISOString() } : null,
+      data: JSON.parse(kvEntry?.value || r2Data || "null")
+    }, found || negative ? 200 : 404);
+  }
+  
+  if (path === "/admin/cache/entry" && request.method === "DELETE") {
+    await Promise.all([
+      env.BOOKS_CACHE?.delete(target.cacheKey),
+      env.BOOKS_R2?.delete(target.cacheKey),
+      target.negativeKey ? env.BOOKS_CACHE?.delete(target.negativeKey) : null
+    ]);
+    console.log(`🗑️ Admin purged cache entry ${target.cacheKey}`);
+    return json({ key: target.cacheKey, purged: true });
+  }
+  
+  if (path === "/admin/cache/refresh" && request.method === "POST") {
+    if (!target.refresh) {
+      return json({ error: 'Refresh needs "isbn" or "q" - a raw key cannot be refetched' }, 400);
+    }
+    
+    const { result, errors } = await target.refresh(env);
+    if (!result) {
+      // Keep the old entry rather than replacing it with nothing
+      return json({ key: target.cacheKey, refreshed: false, details: errors }, 502);
+    }
+    
+    if (target.negativeKey) {
+      await env.BOOKS_CACHE?.delete(target.negativeKey);
+    }
+    await setCachedData(target.cacheKey, result, target.ttlSeconds, env);
+    console.log(`♻️ Admin refreshed cache entry ${target.cacheKey}`);
+    return json({ key: target.cacheKey, refreshed: true, provider: result.provider, data: result });
+  }
+  
+  return json({ error: "Method not allowed" }, 405);
+}
+
+// Delete up to ADMIN_PURGE_PAGE_SIZE objects per call from both tiers; deleted keys
+// drop out of the listing, so callers repeat until complete is true
+async function purgeCachePrefix(prefix, env) {
+  let deleted = 0;
+  let complete = true;
+  
+  if (env.BOOKS_R2) {
+    const listing = await env.BOOKS_R2.list({ prefix, limit: ADMIN_PURGE_PAGE_SIZE });
+    const keys = listing.objects.map((object) => object.key);
+    if (keys.length > 0) {
+      await env.BOOKS_R2.delete(keys);
     }
+    deleted += keys.length;
+    complete = complete && !listing.truncated;
+  }
+  
+  if (env.BOOKS_CACHE) {
+    const listing = await env.BOOKS_CACHE.list({ prefix, limit: ADMIN_PURGE_PAGE_SIZE });
+    await Promise.all(listing.keys.map((entry) => env.BOOKS_CACHE.delete(entry.name)));
+    deleted += listing.keys.length;
+    complete = complete && listing.list_complete;
+  }
+  
+  console.log(`🗑️ Admin purged ${deleted} cache objects under ${prefix}${complete ? "" : " (more remain)"}`);
+  return { prefix, deleted, complete };
+}
+
+async function getCacheStats(env) {
+  const stats = {};
+  
+  if (env.BOOKS_R2) {
+    for (const prefix of ["isbn/", "search/", "author/", "author-profile/", "editions/", "cover/"]) {
+      const prefixStats = { objects: 0, bytes: 0, currentVersion: 0, legacy: 0 };
+      let cursor;
+      do {
+        const listing = await env.BOOKS_R2.list({ prefix, cursor });
+        for (const object of listing.objects) {
+          prefixStats.objects += 1;
+          prefixStats.bytes += object.size;
+          if (object.key.startsWith(`${prefix}${CACHE_SCHEMA_VERSION}/`)) {
+            prefixStats.currentVersion += 1;
+          } else {
+            prefixStats.legacy += 1;
+          }
+        }
+        cursor = listing.truncated ? listing.cursor : null;
+      } while (cursor);
+      stats[prefix] = prefixStats;
+    }
+  }
+  
+  // Negative entries live in KV only
+  if (env.BOOKS_CACHE) {
+    let negativeEntries = 0;
+    let cursor;
+    do {
+      const listing = await env.BOOKS_CACHE.list({ prefix: "isbn-miss/", cursor });
+      negativeEntries += listing.keys.length;
+      cursor = listing.list_complete ? null : listing.cursor;
+    } while (cursor);
+    stats["isbn-miss/"] = { objects: negativeEntries };
+  }
+  
+  return {
+    schemaVersion: CACHE_SCHEMA_VERSION,
+    system: env.BOOKS_R2 ? "R2+KV-Hybrid" : "KV-Only",
+    prefixes: stats
   };
 }
 
-// WorldCat integration removed - was placeholder returning empty results
+// FIXED: Production-safe result validation
+function isValidResult(result) {
+  return result && 
+         result.items && 
+         Array.isArray(result.items) && 
+         result.items.length > 0 &&
+         result.items.some(item => 
+           item && 
+           item.volumeInfo && 
+           item.volumeInfo.title && 
+           typeof item.volumeInfo.title === 'string' &&
+           item.volumeInfo.title.trim().length > 0
+         );
+}
 
-// Rate limiting implementation
-async function checkRateLimit(request, env) {
-  const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
-  const rateLimitKey = `ratelimit:${clientIP}`;
+// Prometheus text exposition - scrape with the admin secret as bearer token
+async function handleMetrics(request, env) {
+  const denied = await requireAdmin(request, env);
+  if (denied) {
+    return denied;
+  }
   
-  // Allow 100 requests per hour per IP
-  const maxRequests = 100;
-  const windowSize = 3600; // 1 hour
+  let snapshot = getLocalMetricsSnapshot();
+  if (env.METRICS) {
+    await flushMetrics(env, null, true);
+    const collector = env.METRICS.get(env.METRICS.idFromName("global"));
+    snapshot = await (await collector.fetch("https://metrics/snapshot")).json();
+  }
   
-  const current = await env.BOOKS_CACHE?.get(rateLimitKey);
-  const count = current ? parseInt(current) : 0;
+  return new Response(renderPrometheusMetrics(snapshot), {
+    headers: getCORSHeaders("text/plain; version=0.0.4; charset=utf-8")
+  });
+}
+
+// Enhanced search handler with crypto cache keys
+async function handleBookSearch(request, env, ctx) {
+  const url = new URL(request.url);
+  const validation = validateSearchParams(url);
   
-  if (count >= maxRequests) {
-    return { allowed: false, retryAfter: windowSize };
+  if (validation.errors.length > 0) {
+    return new Response(JSON.stringify({
+      error: "Invalid parameters",
+      details: validation.errors
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
   }
   
-  // Increment counter
-  const newCount = count + 1;
-  await env.BOOKS_CACHE?.put(rateLimitKey, newCount.toString(), { expirationTtl: windowSize });
+  const search = validation.sanitized;
+  const provider = search.provider;
+  
+  const client = await authenticateClient(request, env);
+  if (client.error) {
+    return createUnauthorizedResponse(client.error);
+  }
   
-  return { allowed: true, count: newCount, remaining: maxRequests - newCount };
-}
\ No newline at end of file
+  const rateLimitResult = await checkRateLimitEnhanced(request, env, getRateLimitCost("search", provider, env), client);
+  if (!rateLimitResult.allowed) {
+    return createRateLimitedResponse(rateLimitResult);
+  }
+  const rateLimitHeaders = getRateLimitHeaders(rateLimitResult);
+  
+  const cacheKey = await getSearchCacheKey(search);
+  const cached = await getCachedData(cacheKey, env, ctx);
+  if (cached && !cached.stale) {
+    return createCachedResponse({ ...cached, data: projectVolumes(cached.data, search.fields) }, null, rateLimitHeaders);
+  }
+  
+  // Stale-while-revalidate: answer from the stale copy and refresh it in the background
+  if (cached && cached.staleSeconds <= STALE_WHILE_REVALIDATE_SECONDS) {
+    revalidateInBackground(cacheKey, 2592000, async () => {
+      const refreshed = await searchWithProviders(search, env);
+      if (!isValidResult(refreshed.result)) {
+        return null;
+      }
+      refreshed.result.provider = refreshed.usedProvider;
+      refreshed.result.cached = false;
+      return refreshed.result;
+    }, env, ctx);
+    return createCachedResponse({ ...cached, data: projectVolumes(cached.data, search.fields) }, "revalidating", rateLimitHeaders);
+  }
+  
+  const { result, usedProvider, errors } = await searchWithProviders(search, env);
+  
+  if (!isValidResult(result)) {
+    // Serve-stale-on-failure: an old copy beats an outage
+    if (cached) {
+      return createCachedResponse({ ...cached, data: projectVolumes(cached.data, search.fields) }, "provider-failure", rateLimitHeaders);
+    }
+    return new Response(JSON.stringify({
+      error: "All book providers failed or returned no valid results",
+      details: errors,
+      items: []
+    }), {
+      status: 503,
+      headers: {
+        ...getCORSHeaders(),
+        ...rateLimitHeaders
+      }
+    });
+  }
+  
+  result.provider = usedProvider;
+  result.cached = false;
+  
+  const response = JSON.stringify(projectVolumes(result, search.fields));
+  
+  // Cache successful results
+  setCachedData(cacheKey, result, 2592000, env, ctx); // 30 days
+  
+  return new Response(response, {
+    headers: {
+      ...getCORSHeaders(),
+      "X-Cache": "MISS",
+      "X-Provider": usedProvider,
+      "X-Cache-System": env.BOOKS_R2 ? "R2+KV-Hybrid" : "KV-Only",
+      "X-Rate-Limit-Remaining": rateLimitResult.remaining.toString(),
+      ...rateLimitHeaders,
+      "X-Debug-Errors": errors.length > 0 ? errors.join("; ") : "none"
+    }
+  });
+}
+
+// Provider routing for search, shared by live requests and background revalidation
+// Providers that support the sort natively were already asked for it; anything else is
+// re-sorted here. That only reorders the page that was fetched - a worker can't sort
+// results it never saw - so the response reports the sort that was actually applied.
+function sortSearchResult(result, sortBy, nativeSorter) {
+  if (nativeSorter) {
+    result.sort = { requested: sortBy, applied: sortBy, by: nativeSorter };
+    return;
+  }
+  
+  let applied = "relevance";
+  if (sortBy === "newest" || sortBy === "oldest") {
+    if (result.items.some((item) => getPublicationYear(item) !== null)) {
+      result.items = sortVolumesByYear(result.items, sortBy);
+      applied = sortBy;
+    }
+  } else if (sortBy === "popularity") {
+    if (result.items.some((item) => getPopularityScore(item) !== null)) {
+      result.items = [...result.items].sort((a, b) => (getPopularityScore(b) ?? -1) - (getPopularityScore(a) ?? -1));
+      applied = sortBy;
+    }
+  }
+  result.sort = { requested: sortBy, applied, by: "worker" };
+}
+
+// For providers that can't restrict languages themselves; volumes without a language are kept
+function filterByLanguage(volumes, langRestrict) {
+  if (langRestrict && Array.isArray(volumes?.items)) {
+    volumes.items = volumes.items.filter((item) => {
+      const language = item?.volumeInfo?.language;
+      return !language || toLanguageCode(language) === langRestrict;
+    });
+  }
+  return volumes;
+}
+
+// Ratings count where the provider has one (Google, Open Library), else edition count
+function getPopularityScore(item) {
+  const volumeInfo = item?.volumeInfo || {};
+  return volumeInfo.ratingsCount || volumeInfo.editionCount || null;
+}
+
+// Undated volumes go last in either direction; ties keep provider order
+function sortVolumesByYear(items, sortBy) {
+  const direction = sortBy === "newest" ? -1 : 1;
+  return [...items].sort((a, b) => {
+    const yearA = getPublicationYear(a);
+    const yearB = getPublicationYear(b);
+    if (yearA === yearB) {
+      return 0;
+    }
+    if (yearA === null) {
+      return 1;
+    }
+    if (yearB === null) {
+      return -1;
+    }
+    return (yearA - yearB) * direction;
+  });
+}
+
+// Every search route and the admin cache tools key pages the same way; first pages keep
+// the pre-paging key so existing entries stay valid
+async function getSearchCacheKey({ query, maxResults, sortBy, includeTranslations, provider, startIndex, cursor, langRestrict }) {
+  const params = [query, maxResults, sortBy, includeTranslations, provider];
+  if (startIndex > 0 || cursor) {
+    params.push(startIndex, cursor?.provider || null);
+  }
+  // English was the only restriction providers ever saw, so it keeps the old key too
+  if (langRestrict && langRestrict !== "en") {
+    params.push(`lang:${langRestrict}`);
+  }
+  return await generateCacheKey("search", ...params);
+}
+
+async function searchWithProviders(search, env) {
+  const { query, maxResults, startIndex, sortBy, langRestrict = null, provider } = search;
+  let result = null;
+  let usedProvider = null;
+  let errors = [];
+  
+  if (provider === "merge") {
+    // Merge mode: query all providers in parallel and combine per field
+    const merged = await searchMerged(search, env);
+    errors.push(...merged.errors);
+    if (isValidResult(merged.result)) {
+      result = merged.result;
+      usedProvider = "merge";
+      sortSearchResult(result, sortBy, sortBy === "relevance" ? "merge" : null);
+      result.startIndex = startIndex;
+      result.nextPage = hasMoreResults(result, search)
+        ? encodeSearchCursor({ mode: provider, provider: "merge", position: 0, startIndex: startIndex + maxResults })
+        : null;
+    }
+    return { result, usedProvider, errors };
+  }
+  
+  // Auto mode walks the configured chain; a forced provider is a chain of one. A cursor pins
+  // the provider - when it fails the page fails rather than switching result sets mid-scroll
+  const chain = provider === "auto" ? getProviderChain(env, "search") : [getProviderByParam(provider)];
+  const firstPosition = getCursorPosition(chain, search.cursor);
+  const lastPosition = search.cursor ? firstPosition : chain.length - 1;
+  
+  for (let position = firstPosition; position <= lastPosition; position++) {
+    const adapter = chain[position];
+    try {
+      if (!adapter.capabilities.search) {
+        throw new Error("search not supported");
+      }
+      
+      const candidate = await adapter.search(query, { maxResults, startIndex, sortBy, langRestrict }, env);
+      if (!adapter.capabilities.langRestrict) {
+        filterByLanguage(candidate, langRestrict);
+      }
+      if (!isValidResult(candidate)) {
+        throw new Error(`${adapter.label} returned empty/invalid results`);
+      }
+      
+      result = candidate;
+      usedProvider = adapter.name;
+      sortSearchResult(result, sortBy, adapter.capabilities.sorts.includes(sortBy) ? adapter.name : null);
+      result.startIndex = startIndex;
+      result.nextPage = hasMoreResults(result, search)
+        ? encodeSearchCursor({ mode: provider, provider: adapter.name, position, startIndex: startIndex + maxResults })
+        : null;
+      console.log(`✅ ${adapter.label} search successful`);
+      break;
+    } catch (error) {
+      console.error(`${adapter.label} search failed:`, error.message);
+      errors.push(`${adapter.label}: ${error.message}`);
+    }
+  }
+  
+  if (provider === "auto") {
+    incrementMetric("books_api_auto_chain_total", { route: "search", provider: result ? usedProvider : "none" });
+  }
+  
+  return { result, usedProvider, errors };
+}
+
+// Enhanced ISBN lookup handler
+async function handleISBNLookup(request, env, ctx) {
+  const url = new URL(request.url);
+  const rawISBN = url.searchParams.get("isbn");
+  
+  const validation = validateISBN(rawISBN);
+  if (validation.error) {
+    return new Response(JSON.stringify({
+      error: validation.error
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  const { fields, error: fieldsError } = parseFieldsParam(url.searchParams.get("fields"));
+  const { provider, error: providerError } = validateProviderParam(url.searchParams.get("provider"));
+  if (fieldsError || providerError) {
+    return new Response(JSON.stringify({
+      error: "Invalid parameters",
+      details: [fieldsError, providerError].filter(Boolean)
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  const isbn = validation.sanitized;
+  
+  const client = await authenticateClient(request, env);
+  if (client.error) {
+    return createUnauthorizedResponse(client.error);
+  }
+  
+  const rateLimitResult = await checkRateLimitEnhanced(request, env, getRateLimitCost("isbn", provider, env), client);
+  if (!rateLimitResult.allowed) {
+    return createRateLimitedResponse(rateLimitResult);
+  }
+  const rateLimitHeaders = getRateLimitHeaders(rateLimitResult);
+  
+  // FIXED: Use crypto-based cache key generation
+  const cacheKey = await generateCacheKey("isbn", isbn, provider);
+  const cached = await getCachedData(cacheKey, env, ctx);
+  if (cached && !cached.stale) {
+    return createCachedResponse({ ...cached, data: projectVolume(cached.data, fields) }, null, rateLimitHeaders);
+  }
+  
+  // Stale-while-revalidate: answer from the stale copy and refresh it in the background
+  if (cached && cached.staleSeconds <= STALE_WHILE_REVALIDATE_SECONDS) {
+    revalidateInBackground(cacheKey, 31536000, async () => {
+      const refreshed = await lookupISBNWithProviders(isbn, provider, env);
+      if (!refreshed.result) {
+        return null;
+      }
+      refreshed.result.provider = refreshed.usedProvider;
+      return refreshed.result;
+    }, env, ctx);
+    return createCachedResponse({ ...cached, data: projectVolume(cached.data, fields) }, "revalidating", rateLimitHeaders);
+  }
+  
+  // Known-unknown ISBNs skip the provider chain unless the caller asks for a refresh
+  if (!cached && url.searchParams.get("refresh") !== "true") {
+    const negative = await getNegativeCacheEntry(isbn, provider, env);
+    if (negative) {
+      return new Response(JSON.stringify({
+        error: "ISBN not found in any provider",
+        isbn,
+        details: []
+      }), {
+        status: 404,
+        headers: {
+          ...getCORSHeaders(),
+          ...rateLimitHeaders,
+          "X-Cache": "HIT-NEGATIVE",
+          "Age": negative.age.toString()
+        }
+      });
+    }
+  }
+  
+  const { result, usedProvider, errors } = await lookupISBNWithProviders(isbn, provider, env);
+  
+  if (!result) {
+    // Serve-stale-on-failure: an old copy beats an outage
+    if (cached) {
+      return createCachedResponse({ ...cached, data: projectVolume(cached.data, fields) }, "provider-failure", rateLimitHeaders);
+    }
+    
+    // Only a clean "not found" from every provider is cached - timeouts and 5xx errors are not
+    if (errors.length === 0) {
+      setNegativeCacheEntry(isbn, provider, env, ctx);
+    }
+    
+    return new Response(JSON.stringify({
+      error: "ISBN not found in any provider",
+      isbn,
+      details: errors
+    }), {
+      status: 404,
+      headers: {
+        ...getCORSHeaders(),
+        ...rateLimitHeaders,
+        "X-Cache": "MISS",
+        "X-Debug-Errors": errors.join("; ")
+      }
+    });
+  }
+  
+  result.provider = usedProvider;
+  
+  const response = JSON.stringify(projectVolume(result, fields));
+  setCachedData(cacheKey, result, 31536000, env, ctx); // 1 year for ISBN lookups
+  
+  return new Response(response, {
+    headers: {
+      ...getCORSHeaders(),
+      "X-Cache": "MISS",
+      "X-Provider": usedProvider,
+      "X-Cache-System": env.BOOKS_R2 ? "R2+KV-Hybrid" : "KV-Only",
+      "X-Rate-Limit-Remaining": rateLimitResult.remaining.toString(),
+      ...rateLimitHeaders
+    }
+  });
+}
+
+// Provider routing for ISBN lookup, shared by single and batch lookups
+async function lookupISBNWithProviders(isbn, provider, env) {
+  let result = null;
+  let usedProvider = null;
+  let errors = [];
+  
+  if (provider === "merge") {
+    // Merge mode: query all providers in parallel and combine per field
+    const merged = await lookupISBNMerged(isbn, env);
+    errors.push(...merged.errors);
+    if (merged.result) {
+      result = merged.result;
+      usedProvider = "merge";
+    }
+    return { result: withCanonicalIdentifiers(result, isbn), usedProvider, errors };
+  }
+  
+  // A null lookup means "not found here" - move on without recording an error
+  const chain = provider === "auto" ? getProviderChain(env, "lookup") : [getProviderByParam(provider)];
+  
+  for (const adapter of chain) {
+    try {
+      if (!adapter.capabilities.lookup) {
+        throw new Error("ISBN lookup not supported");
+      }
+      
+      result = await adapter.lookup(isbn, env);
+      if (result) {
+        usedProvider = adapter.name;
+        console.log(`✅ ${adapter.label} ISBN lookup successful`);
+        break;
+      }
+    } catch (error) {
+      console.error(`${adapter.label} ISBN lookup failed:`, error.message);
+      errors.push(`${adapter.label}: ${error.message}`);
+    }
+  }
+  
+  if (provider === "auto") {
+    incrementMetric("books_api_auto_chain_total", { route: "isbn", provider: result ? usedProvider : "none" });
+  }
+  
+  return { result: withCanonicalIdentifiers(result, isbn), usedProvider, errors };
+}
+
+// Merged multi-provider mode (provider=merge)
+// Per-field provider preference - the first provider with a usable value wins
+const MERGE_FIELD_PRIORITY = {
+  title: ["isbndb", "google-books", "open-library"],
+  subtitle: ["google-books", "isbndb", "open-library"],
+  authors: ["isbndb", "google-books", "open-library"],
+  publisher: ["isbndb", "google-books", "open-library"],
+  publishedDate: ["isbndb", "google-books", "open-library"],
+  firstPublishedDate: ["open-library"],
+  description: ["google-books", "isbndb", "open-library"],
+  pageCount: ["isbndb", "google-books", "open-library"],
+  categories: ["google-books", "isbndb", "open-library"],
+  imageLinks: ["google-books", "isbndb", "open-library"],
+  language: ["google-books", "isbndb", "open-library"],
+  languages: ["open-library"],
+  originalLanguage: ["open-library"],
+  format: ["isbndb", "open-library"],
+  edition: ["isbndb"],
+  dimensions: ["isbndb", "google-books"],
+  deweyDecimal: ["isbndb"],
+  averageRating: ["google-books", "open-library"],
+  ratingsCount: ["google-books", "open-library"],
+  editionCount: ["open-library"],
+  previewLink: ["google-books", "open-library", "isbndb"],
+  infoLink: ["google-books", "open-library", "isbndb"]
+};
+
+function hasMergeValue(value) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (typeof value === "string") {
+    return value.trim().length > 0;
+  }
+  if (typeof value === "number") {
+    return !isNaN(value) && value > 0;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value === "object") {
+    return Object.keys(value).length > 0;
+  }
+  return true;
+}
+
+// Combine one volume per provider into a single record with a per-field source map
+function mergeVolumes(candidates) {
+  const volumeInfo = {
+    title: "",
+    authors: [],
+    industryIdentifiers: [],
+    categories: []
+  };
+  const fieldSources = {};
+  
+  for (const [field, priority] of Object.entries(MERGE_FIELD_PRIORITY)) {
+    // Providers missing from the priority list (newly registered ones) come last, in chain order
+    const order = [...priority, ...candidates.map((entry) => entry.provider).filter((name) => !priority.includes(name))];
+    for (const providerName of order) {
+      const candidate = candidates.find((entry) => entry.provider === providerName);
+      const raw = candidate?.item?.volumeInfo?.[field];
+      const value = field === "authors" && Array.isArray(raw) ? raw.map(normalizeAuthorName) : raw;
+      if (hasMergeValue(value)) {
+        volumeInfo[field] = value;
+        fieldSources[field] = providerName;
+        break;
+      }
+    }
+  }
+  
+  // Identifiers are unioned rather than picked so ISBN-10 and ISBN-13 both survive
+  const seenIdentifiers = new Set();
+  for (const candidate of candidates) {
+    for (const identifier of candidate.item?.volumeInfo?.industryIdentifiers || []) {
+      if (!identifier?.identifier || seenIdentifiers.has(identifier.identifier)) {
+        continue;
+      }
+      seenIdentifiers.add(identifier.identifier);
+      volumeInfo.industryIdentifiers.push(identifier);
+      fieldSources.industryIdentifiers = fieldSources.industryIdentifiers || candidate.provider;
+    }
+  }
+  
+  const googleCandidate = candidates.find((entry) => entry.provider === "google-books");
+  const isbn13 = volumeInfo.industryIdentifiers.find((identifier) => identifier.type === "ISBN_13");
+  
+  return {
+    kind: "books#volume",
+    id: googleCandidate?.item?.id || isbn13?.identifier || candidates[0]?.item?.id || "",
+    volumeInfo,
+    fieldSources,
+    mergedProviders: candidates.map((entry) => entry.provider)
+  };
+}
+
+// ISBNdb and library catalogs write "Herbert, Frank" (sometimes "Herbert, Frank, 1920-1986");
+// Google and Open Library write "Frank Herbert". "King, Martin Luther, Jr." turns around
+// too, but "Martin Luther King, Jr." is already in order.
+function normalizeAuthorName(name) {
+  if (typeof name !== "string") {
+    return name;
+  }
+  
+  const parts = name.split(",").map((part) => part.trim()).filter((part) => part && !/^\d{4}\s*-\s*(\d{4})?\.?$/.test(part));
+  if (parts.length < 2 || AUTHOR_NAME_SUFFIX.test(parts[1])) {
+    return parts.join(", ");
+  }
+  const [last, first, ...suffixes] = parts;
+  return [first, last, ...suffixes].join(" ");
+}
+
+const AUTHOR_NAME_SUFFIX = /^(jr|sr|ii|iii|iv|phd|md)\.?$/i;
+
+function normalizeMergeText(value) {
+  return (value || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// Keys used to recognise the same book across providers
+function getMergeKeys(item) {
+  const keys = [];
+  const volumeInfo = item?.volumeInfo || {};
+  
+  for (const identifier of volumeInfo.industryIdentifiers || []) {
+    if (identifier?.identifier) {
+      const validation = validateISBN(identifier.identifier);
+      keys.push(`id:${validation.sanitized || identifier.identifier}`);
+    }
+  }
+  
+  const title = normalizeMergeText(volumeInfo.title);
+  if (title) {
+    const author = normalizeMergeText(normalizeAuthorName(volumeInfo.authors?.[0])).split(" ").pop() || "";
+    keys.push(`title:${title}|${author}`);
+  }
+  
+  return keys;
+}
+
+async function searchMerged(search, env) {
+  const { query, maxResults, startIndex, sortBy, langRestrict = null } = search;
+  const chain = getProviderChain(env, "search");
+  const providerNames = chain.map((adapter) => adapter.name);
+  const settled = await Promise.allSettled(
+    chain.map(async (adapter) => {
+      const volumes = await adapter.search(query, { maxResults, startIndex, sortBy, langRestrict }, env);
+      return adapter.capabilities.langRestrict ? volumes : filterByLanguage(volumes, langRestrict);
+    })
+  );
+  
+  const errors = [];
+  const groups = [];
+  const groupsByKey = new Map();
+  let totalItems = 0;
+  
+  settled.forEach((outcome, index) => {
+    const providerName = providerNames[index];
+    if (outcome.status === "rejected") {
+      console.error(`Merge search - ${providerName} failed:`, outcome.reason?.message);
+      errors.push(`${providerName}: ${outcome.reason?.message}`);
+      return;
+    }
+    
+    totalItems = Math.max(totalItems, outcome.value?.totalItems || 0);
+    
+    for (const item of outcome.value?.items || []) {
+      if (!item?.volumeInfo?.title) {
+        continue;
+      }
+      
+      const keys = getMergeKeys(item);
+      let group = keys.map((key) => groupsByKey.get(key)).find(Boolean);
+      
+      // Keep a provider's first match only; a second hit from the same provider is a separate book
+      if (!group || group.some((entry) => entry.provider === providerName)) {
+        group = [];
+        groups.push(group);
+      }
+      
+      group.push({ provider: providerName, item });
+      for (const key of keys) {
+        if (!groupsByKey.has(key)) {
+          groupsByKey.set(key, group);
+        }
+      }
+    }
+  });
+  
+  return {
+    result: {
+      kind: "books#volumes",
+      totalItems,
+      items: groups.slice(0, maxResults).map(mergeVolumes)
+    },
+    errors
+  };
+}
+
+async function lookupISBNMerged(isbn, env) {
+  const chain = getProviderChain(env, "lookup");
+  const providerNames = chain.map((adapter) => adapter.name);
+  const settled = await Promise.allSettled(chain.map((adapter) => adapter.lookup(isbn, env)));
+  
+  const errors = [];
+  const candidates = [];
+  
+  settled.forEach((outcome, index) => {
+    const providerName = providerNames[index];
+    if (outcome.status === "rejected") {
+      console.error(`Merge ISBN lookup - ${providerName} failed:`, outcome.reason?.message);
+      errors.push(`${providerName}: ${outcome.reason?.message}`);
+    } else if (outcome.value) {
+      candidates.push({ provider: providerName, item: outcome.value });
+    }
+  });
+  
+  return {
+    result: candidates.length > 0 ? mergeVolumes(candidates) : null,
+    errors
+  };
+}
+
+// Bulk ISBN lookup for CSV imports - cache first, upstream only for misses
+// Each cached ISBN costs up to four subrequests (KV, R2, negative cache, promotion), so
+// this keeps a full batch well under the Workers limit of 1000 per request
+const MAX_BATCH_ISBNS = 100;
+
+// Cache reads in flight at once - Workers allow six open connections per request
+const BATCH_CACHE_CONCURRENCY = 6;
+
+// Misses go upstream one at a time behind the 1 request/second ISBNdb bucket, and each one
+// can cost half a dozen subrequests. A batch stops going upstream after this many misses or
+// this long - well inside the app's 60 s request timeout - and marks the rest "deferred"
+// for the client to send again.
+const MAX_BATCH_UPSTREAM_LOOKUPS = 20;
+const BATCH_UPSTREAM_BUDGET_MS = 25000;
+
+// Cache hits are free; upstream lookups are charged the "isbn-batch" cost once per block
+// of this many, as each block starts, so a cold 2,000-row import costs 200 units
+const BATCH_LOOKUPS_PER_RATE_LIMIT_UNIT = 10;
+
+// Runs fn over every item with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+async function handleISBNBatchLookup(request, env, ctx) {
+  if (request.method !== "POST") {
+    return new Response(JSON.stringify({
+      error: "Method not allowed - use POST with a JSON array of ISBNs"
+    }), {
+      status: 405,
+      headers: {
+        ...getCORSHeaders(),
+        "Allow": "POST, OPTIONS"
+      }
+    });
+  }
+  
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: "Request body must be valid JSON"
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  // Accept either a bare array or { isbns: [...] }
+  const rawISBNs = Array.isArray(body) ? body : body?.isbns;
+  if (!Array.isArray(rawISBNs) || rawISBNs.length === 0) {
+    return new Response(JSON.stringify({
+      error: "Request body must be a non-empty JSON array of ISBNs"
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  if (rawISBNs.length > MAX_BATCH_ISBNS) {
+    return new Response(JSON.stringify({
+      error: `A batch may contain at most ${MAX_BATCH_ISBNS} ISBNs`,
+      received: rawISBNs.length
+    }), {
+      status: 413,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  const url = new URL(request.url);
+  const { provider, error: providerError } = validateProviderParam(url.searchParams.get("provider"));
+  if (providerError) {
+    return new Response(JSON.stringify({
+      error: "Invalid parameters",
+      details: [providerError]
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
+  }
+  const refresh = url.searchParams.get("refresh") === "true";
+  
+  const client = await authenticateClient(request, env);
+  if (client.error) {
+    return createUnauthorizedResponse(client.error);
+  }
+  
+  // Zero cost - this only reads the client's quota; upstream lookups are charged below
+  let rateLimitResult = await checkRateLimitEnhanced(request, env, 0, client);
+  
+  // Validate every entry up front; invalid ones get their own error result
+  const results = rawISBNs.map((rawISBN) => {
+    const validation = validateISBN(typeof rawISBN === "number" ? rawISBN.toString() : rawISBN);
+    return {
+      input: rawISBN,
+      isbn: validation.sanitized || null,
+      status: validation.error ? "invalid" : "pending",
+      provider: null,
+      cache: null,
+      item: null,
+      error: validation.error || null
+    };
+  });
+  
+  // Duplicate rows in an export only need one lookup
+  const uniqueISBNs = [...new Set(results.filter((entry) => entry.isbn).map((entry) => entry.isbn))];
+  const lookups = new Map();
+  
+  // 1. Check the hybrid cache for every ISBN first
+  await mapWithConcurrency(uniqueISBNs, BATCH_CACHE_CONCURRENCY, async (isbn) => {
+    const cacheKey = await generateCacheKey("isbn", isbn, provider);
+    const cached = await getCachedData(cacheKey, env, ctx);
+    const fresh = cached && !cached.stale;
+    const negative = !cached && !refresh ? await getNegativeCacheEntry(isbn, provider, env) : null;
+    lookups.set(isbn, {
+      cacheKey,
+      stale: cached && cached.stale ? cached : null,
+      negative: Boolean(negative),
+      result: fresh ? cached.data : null,
+      provider: fresh ? cached.data?.provider || null : null,
+      cache: fresh ? `HIT-${cached.source}` : negative ? "HIT-NEGATIVE" : "MISS",
+      errors: []
+    });
+  });
+  
+  // 2. Go upstream for misses (and stale entries) only, one at a time so ISBNdb
+  //    calls stay behind the ISBNdb token bucket, until the batch budget runs out
+  const upstreamStarted = Date.now();
+  const blockCost = getRateLimitCost("isbn-batch", provider, env);
+  let upstreamLookups = 0;
+  let rateLimited = false;
+  for (const isbn of uniqueISBNs) {
+    const lookup = lookups.get(isbn);
+    if (lookup.result || lookup.negative) {
+      continue;
+    }
+    
+    if (!rateLimited && upstreamLookups % BATCH_LOOKUPS_PER_RATE_LIMIT_UNIT === 0 && upstreamLookups < MAX_BATCH_UPSTREAM_LOOKUPS) {
+      rateLimitResult = await checkRateLimitEnhanced(request, env, blockCost, client);
+      rateLimited = !rateLimitResult.allowed;
+    }
+    
+    if (rateLimited || upstreamLookups >= MAX_BATCH_UPSTREAM_LOOKUPS || Date.now() - upstreamStarted >= BATCH_UPSTREAM_BUDGET_MS) {
+      if (lookup.stale) {
+        lookup.result = lookup.stale.data;
+        lookup.provider = lookup.stale.data?.provider || null;
+        lookup.cache = "STALE";
+      } else {
+        lookup.deferred = true;
+      }
+      continue;
+    }
+    upstreamLookups++;
+    
+    const { result, usedProvider, errors } = await lookupISBNWithProviders(isbn, provider, env);
+    lookup.errors = errors;
+    
+    if (result) {
+      result.provider = usedProvider;
+      lookup.result = result;
+      lookup.provider = usedProvider;
+      setCachedData(lookup.cacheKey, result, 31536000, env, ctx); // 1 year for ISBN lookups
+    } else if (lookup.stale) {
+      // Serve-stale-on-failure, same as the single lookup
+      lookup.result = lookup.stale.data;
+      lookup.provider = lookup.stale.data?.provider || null;
+      lookup.cache = "STALE";
+    } else if (errors.length === 0) {
+      setNegativeCacheEntry(isbn, provider, env, ctx);
+    }
+  }
+  
+  for (const entry of results) {
+    if (entry.status === "invalid") {
+      continue;
+    }
+    
+    const lookup = lookups.get(entry.isbn);
+    entry.cache = lookup.cache;
+    entry.provider = lookup.provider;
+    
+    if (lookup.result) {
+      entry.status = "found";
+      entry.item = lookup.result;
+    } else if (lookup.deferred) {
+      entry.status = "deferred";
+      entry.error = rateLimited
+        ? `Not looked up - rate limit reached; send it again in ${rateLimitResult.retryAfter} seconds`
+        : "Not looked up - this batch reached its upstream limit; send it again";
+    } else {
+      entry.status = "not_found";
+      entry.error = lookup.errors.length > 0 ? lookup.errors.join("; ") : "ISBN not found in any provider";
+    }
+  }
+  
+  const found = results.filter((entry) => entry.status === "found").length;
+  const deferred = results.filter((entry) => entry.status === "deferred").length;
+  
+  // Nothing to show for the request - same answer as any other rate-limited route
+  if (rateLimited && found === 0 && upstreamLookups === 0) {
+    return createRateLimitedResponse(rateLimitResult);
+  }
+  
+  const cacheHits = [...lookups.values()].filter((lookup) => lookup.cache.startsWith("HIT")).length;
+  
+  return new Response(JSON.stringify({
+    kind: "books#isbnBatch",
+    totalRequested: results.length,
+    totalFound: found,
+    totalDeferred: deferred,
+    results
+  }), {
+    headers: {
+      ...getCORSHeaders(),
+      "X-Cache-Hits": cacheHits.toString(),
+      "X-Cache-Misses": (uniqueISBNs.length - cacheHits).toString(),
+      "X-Cache-System": env.BOOKS_R2 ? "R2+KV-Hybrid" : "KV-Only",
+      "X-Rate-Limit-Remaining": rateLimitResult.remaining.toString(),
+      ...getRateLimitHeaders(rateLimitResult)
+    }
+  });
+}
+
+// Cover image proxy - picks the best cover across providers once, keeps the bytes in R2
+// and serves them with long-lived cache headers, so the app never hotlinks expiring URLs
+const COVER_CACHE_CONTROL = "public, max-age=31536000";
+const COVER_FETCH_TIMEOUT_MS = 10000;
+
+async function handleCoverRequest(request, env, ctx) {
+  if (request.method !== "GET" && request.method !== "HEAD") {
+    return new Response(JSON.stringify({ error: "Method not allowed - use GET" }), {
+      status: 405,
+      headers: { ...getCORSHeaders(), "Allow": "GET, HEAD, OPTIONS" }
+    });
+  }
+  
+  const url = new URL(request.url);
+  let rawISBN;
+  try {
+    rawISBN = decodeURIComponent(url.pathname.slice("/cover/".length));
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: "ISBN in the path is not valid URL encoding"
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  const validation = validateISBN(rawISBN);
+  if (validation.error) {
+    return new Response(JSON.stringify({
+      error: validation.error
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  const isbn = validation.sanitized;
+  const refresh = url.searchParams.get("refresh") === "true";
+  const coverKey = `cover/${CACHE_SCHEMA_VERSION}/${isbn}`;
+  
+  const client = await authenticateClient(request, env);
+  if (client.error) {
+    return createUnauthorizedResponse(client.error);
+  }
+  
+  if (!refresh) {
+    const stored = await env.BOOKS_R2?.get(coverKey).catch((error) => {
+      console.warn(`Cover cache read error for ISBN ${isbn}:`, error.message);
+      return null;
+    });
+    if (stored) {
+      return createCoverResponse(request, await stored.arrayBuffer(), {
+        contentType: stored.httpMetadata?.contentType || "image/jpeg",
+        etag: stored.httpEtag,
+        source: stored.customMetadata?.source,
+        cache: "HIT-R2-COLD"
+      });
+    }
+    
+    const negative = await getNegativeCacheEntry(isbn, "cover", env);
+    if (negative) {
+      return createCoverMissResponse(isbn, { "X-Cache": "HIT-NEGATIVE", "Age": negative.age.toString() });
+    }
+  }
+  
+  // Only misses cost quota - they are the requests that reach the providers
+  const rateLimitResult = await checkRateLimitEnhanced(request, env, getRateLimitCost("cover", null, env), client);
+  if (!rateLimitResult.allowed) {
+    return createRateLimitedResponse(rateLimitResult);
+  }
+  
+  const { cover, errors } = await findBestCover(isbn, env, ctx);
+  if (!cover) {
+    if (errors.length === 0) {
+      setNegativeCacheEntry(isbn, "cover", env, ctx);
+    }
+    return createCoverMissResponse(isbn, { "X-Cache": "MISS", ...getRateLimitHeaders(rateLimitResult) }, errors);
+  }
+  
+  let etag = null;
+  if (env.BOOKS_R2) {
+    try {
+      const stored = await env.BOOKS_R2.put(coverKey, cover.bytes, {
+        httpMetadata: { contentType: cover.contentType },
+        customMetadata: {
+          isbn,
+          source: cover.source,
+          sourceUrl: cover.url,
+          width: String(cover.width || ""),
+          height: String(cover.height || ""),
+          created: Date.now().toString()
+        }
+      });
+      etag = stored?.httpEtag || null;
+    } catch (error) {
+      console.warn(`Cover cache write error for ISBN ${isbn}:`, error.message);
+    }
+  }
+  
+  return createCoverResponse(request, cover.bytes, {
+    contentType: cover.contentType,
+    etag: etag || `"${(await sha256Hex(cover.url)).slice(0, 32)}"`,
+    source: cover.source,
+    cache: "MISS",
+    extraHeaders: getRateLimitHeaders(rateLimitResult)
+  });
+}
+
+function createCoverResponse(request, bytes, { contentType, etag, source, cache, extraHeaders = {} }) {
+  const headers = {
+    ...getCORSHeaders(contentType),
+    "Cache-Control": COVER_CACHE_CONTROL,
+    "ETag": etag,
+    "X-Cache": cache,
+    "X-Cover-Source": source || "unknown",
+    ...extraHeaders
+  };
+  
+  if (request.headers.get("If-None-Match") === etag) {
+    return new Response(null, { status: 304, headers });
+  }
+  
+  return new Response(request.method === "HEAD" ? null : bytes, { headers });
+}
+
+function createCoverMissResponse(isbn, headers, errors = []) {
+  return new Response(JSON.stringify({
+    error: "No cover available for this ISBN",
+    isbn,
+    details: errors
+  }), {
+    status: 404,
+    headers: {
+      ...getCORSHeaders(),
+      "Cache-Control": "public, max-age=3600",
+      ...headers
+    }
+  });
+}
+
+// Candidates come from the book's own imageLinks (whichever provider answered) plus the
+// Open Library large cover by ISBN; every candidate is fetched and the largest real image wins
+async function findBestCover(isbn, env, ctx) {
+  const errors = [];
+  let book = null;
+  
+  const cacheKey = await generateCacheKey("isbn", isbn, "auto");
+  const cached = await getCachedData(cacheKey, env, ctx);
+  if (cached) {
+    book = cached.data;
+  } else {
+    const lookup = await lookupISBNWithProviders(isbn, "auto", env);
+    errors.push(...lookup.errors);
+    if (lookup.result) {
+      book = lookup.result;
+      book.provider = lookup.usedProvider;
+      setCachedData(cacheKey, book, 31536000, env, ctx);
+    }
+  }
+  
+  const candidates = getCoverCandidates(isbn, book);
+  
+  // Replay mode must never touch the network - covers are simply reported as missing
+  if (isReplayMode(env)) {
+    return { cover: null, errors: ["cover fetching is disabled in replay mode"] };
+  }
+  
+  const fetched = await Promise.all(candidates.map((candidate) => fetchCoverCandidate(candidate, errors)));
+  const covers = fetched.filter(Boolean);
+  
+  // Largest image wins; candidates are listed in preference order, so ties keep the earlier one
+  const cover = covers.reduce((best, current) => {
+    const area = (current.width || 0) * (current.height || 0);
+    const bestArea = best ? (best.width || 0) * (best.height || 0) : -1;
+    return area > bestArea ? current : best;
+  }, null);
+  
+  return { cover, errors };
+}
+
+function getCoverCandidates(isbn, book) {
+  const candidates = [];
+  const imageLinks = book?.volumeInfo?.imageLinks || {};
+  const bookImage = imageLinks.extraLarge || imageLinks.large || imageLinks.medium ||
+    imageLinks.thumbnail || imageLinks.smallThumbnail;
+  
+  // A provider's link can be junk; skip it rather than fail the whole cover request
+  let imageUrl = null;
+  if (bookImage) {
+    try {
+      imageUrl = new URL(bookImage.replace(/^http:/, "https:"));
+    } catch (error) {
+      console.warn(`Ignoring malformed cover URL for ISBN ${isbn}:`, bookImage);
+    }
+  }
+  
+  if (imageUrl) {
+    let source = imageUrl.hostname;
+    
+    if (imageUrl.hostname.includes("google")) {
+      // Google serves the same cover at a higher resolution with a bigger zoom and no page curl
+      source = "google-books";
+      imageUrl.searchParams.set("zoom", "3");
+      imageUrl.searchParams.delete("edge");
+    } else if (imageUrl.hostname.includes("isbndb")) {
+      source = "isbndb";
+    } else if (imageUrl.hostname.includes("openlibrary")) {
+      source = "open-library";
+      imageUrl.pathname = imageUrl.pathname.replace(/-[SM]\.jpg$/, "-L.jpg");
+    }
+    
+    candidates.push({ source, url: imageUrl.toString() });
+  }
+  
+  // default=false makes Open Library answer 404 instead of its placeholder when it has no cover
+  const openLibraryUrl = `https://covers.openlibrary.org/b/isbn/${isbn}-L.jpg?default=false`;
+  if (!candidates.some((candidate) => candidate.url.split("?")[0] === openLibraryUrl.split("?")[0])) {
+    candidates.push({ source: "open-library", url: openLibraryUrl });
+  }
+  
+  return candidates;
+}
+
+async function fetchCoverCandidate(candidate, errors) {
+  try {
+    const response = await fetch(candidate.url, {
+      headers: { "User-Agent": "CloudflareWorker/BooksProxy" },
+      signal: AbortSignal.timeout(COVER_FETCH_TIMEOUT_MS)
+    });
+    
+    // 404 is the normal "no cover" answer and not an error
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status} - ${response.statusText}`);
+    }
+    
+    const contentType = response.headers.get("content-type") || "";
+    if (!contentType.startsWith("image/")) {
+      throw new Error(`Unexpected content type ${contentType || "(none)"}`);
+    }
+    
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length > MAX_RESPONSE_SIZE) {
+      throw new Error("Response too large");
+    }
+    
+    const dimensions = getImageDimensions(bytes);
+    if (isPlaceholderCover(bytes, dimensions)) {
+      console.log(`🖼️ Placeholder cover from ${candidate.source} ignored`);
+      return null;
+    }
+    
+    return { ...candidate, bytes, contentType, width: dimensions?.width, height: dimensions?.height };
+  } catch (error) {
+    console.warn(`Cover fetch from ${candidate.source} failed:`, error.message);
+    errors.push(`${candidate.source}: ${error.message}`);
+    return null;
+  }
+}
+
+// Open Library's "no cover" image is a 1x1 GIF - anything that small is not a cover
+function isPlaceholderCover(bytes, dimensions) {
+  if (bytes.length < 100) {
+    return true;
+  }
+  return Boolean(dimensions) && (dimensions.width <= 1 || dimensions.height <= 1);
+}
+
+// Reads width/height from PNG, GIF and JPEG headers; null for anything else
+function getImageDimensions(bytes) {
+  if (bytes.length >= 24 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+  }
+  
+  if (bytes.length >= 10 && bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+    return { width: bytes[6] | (bytes[7] << 8), height: bytes[8] | (bytes[9] << 8) };
+  }
+  
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) {
+        return null;
+      }
+      const marker = bytes[offset + 1];
+      // SOF0-SOF15 carry the frame size (C4, C8 and CC are other segment types)
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return {
+          height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+          width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+        };
+      }
+      offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+  }
+  
+  return null;
+}
+
+// Author bibliography - /author?name=... or /author/{olid}. Every author-capable provider
+// is asked for up to AUTHOR_WORKS_LIMIT titles, editions are folded into one volume per
+// work, and the combined list is cached so sorting and paging never go back upstream
+const AUTHOR_WORKS_LIMIT = 200;
+const AUTHOR_CACHE_TTL_SECONDS = 604800; // 7 days
+
+function validateAuthorParams(url) {
+  const maxResults = url.searchParams.get("maxResults");
+  const page = url.searchParams.get("page");
+  const sortBy = url.searchParams.get("orderBy");
+  
+  const errors = [];
+  const sanitized = {};
+  
+  const olidMatch = url.pathname.match(/^\/author\/(.+)$/);
+  if (olidMatch) {
+    let olid = "";
+    try {
+      olid = decodeURIComponent(olidMatch[1]).toUpperCase();
+    } catch (error) {
+      // Malformed escapes fall through to the id format error below
+    }
+    if (!/^OL\d+A$/.test(olid)) {
+      errors.push("Author id must be an Open Library author id (e.g. OL23919A)");
+    } else {
+      sanitized.olid = olid;
+    }
+  } else {
+    const name = sanitizeAuthorName(url.searchParams.get("name"));
+    if (name.error) {
+      errors.push(name.error);
+    } else {
+      sanitized.name = name.value;
+    }
+  }
+  
+  if (maxResults !== null) {
+    const maxResultsInt = parseInt(maxResults);
+    if (isNaN(maxResultsInt) || maxResultsInt < 1 || maxResultsInt > 40) {
+      errors.push("maxResults must be a number between 1 and 40");
+    } else {
+      sanitized.maxResults = maxResultsInt;
+    }
+  } else {
+    sanitized.maxResults = 20;
+  }
+  
+  if (page !== null) {
+    const pageInt = parseInt(page);
+    if (isNaN(pageInt) || pageInt < 1) {
+      errors.push("page must be a number of 1 or more");
+    } else {
+      sanitized.page = pageInt;
+    }
+  } else {
+    sanitized.page = 1;
+  }
+  
+  // "relevance" keeps provider order; the others sort by first publication year
+  if (sortBy !== null) {
+    const validSortOptions = ["relevance", "newest", "oldest"];
+    if (!validSortOptions.includes(sortBy)) {
+      errors.push(`orderBy must be one of: ${validSortOptions.join(", ")}`);
+    } else {
+      sanitized.sortBy = sortBy;
+    }
+  } else {
+    sanitized.sortBy = "relevance";
+  }
+  
+  return { errors, sanitized };
+}
+
+function sanitizeAuthorName(name) {
+  if (!name || name.trim().length === 0) {
+    return { error: 'Query parameter "name" is required' };
+  }
+  if (name.length > 200) {
+    return { error: 'Query parameter "name" must be less than 200 characters' };
+  }
+  
+  // Apostrophes stay - O'Brien is a name, not an injection
+  const sanitizedName = name.replace(/[<>"]/g, "").replace(/[\x00-\x1F\x7F]/g, "").replace(/\s+/g, " ").trim();
+  if (sanitizedName.length === 0) {
+    return { error: "Author name contains only invalid characters" };
+  }
+  return { value: sanitizedName };
+}
+
+async function handleAuthorWorks(request, env, ctx) {
+  const url = new URL(request.url);
+  const validation = validateAuthorParams(url);
+  
+  if (validation.errors.length > 0) {
+    return new Response(JSON.stringify({
+      error: "Invalid parameters",
+      details: validation.errors
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  const { name, olid, maxResults, page, sortBy } = validation.sanitized;
+  const paging = { maxResults, page, sortBy };
+  
+  const client = await authenticateClient(request, env);
+  if (client.error) {
+    return createUnauthorizedResponse(client.error);
+  }
+  
+  const rateLimitResult = await checkRateLimitEnhanced(request, env, getRateLimitCost("author", null, env), client);
+  if (!rateLimitResult.allowed) {
+    return createRateLimitedResponse(rateLimitResult);
+  }
+  const rateLimitHeaders = getRateLimitHeaders(rateLimitResult);
+  
+  // One entry per author, whatever page or order is asked for
+  const cacheKey = await generateCacheKey("author", olid || name.toLowerCase());
+  const cached = await getCachedData(cacheKey, env, ctx);
+  if (cached && !cached.stale) {
+    return createCachedResponse({ ...cached, data: pageAuthorWorks(cached.data, paging) }, null, rateLimitHeaders);
+  }
+  
+  if (cached && cached.staleSeconds <= STALE_WHILE_REVALIDATE_SECONDS) {
+    revalidateInBackground(cacheKey, AUTHOR_CACHE_TTL_SECONDS, async () => {
+      return (await fetchAuthorBibliography({ name, olid }, env)).result;
+    }, env, ctx);
+    return createCachedResponse({ ...cached, data: pageAuthorWorks(cached.data, paging) }, "revalidating", rateLimitHeaders);
+  }
+  
+  const { result, errors } = await fetchAuthorBibliography({ name, olid }, env);
+  
+  if (!result) {
+    if (cached) {
+      return createCachedResponse({ ...cached, data: pageAuthorWorks(cached.data, paging) }, "provider-failure", rateLimitHeaders);
+    }
+    
+    // No errors means every provider answered and none knows the author
+    const notFound = errors.length === 0;
+    return new Response(JSON.stringify({
+      error: notFound ? "Author not found" : "All author providers failed",
+      details: errors,
+      items: []
+    }), {
+      status: notFound ? 404 : 503,
+      headers: {
+        ...getCORSHeaders(),
+        ...rateLimitHeaders
+      }
+    });
+  }
+  
+  setCachedData(cacheKey, result, AUTHOR_CACHE_TTL_SECONDS, env, ctx);
+  
+  return new Response(JSON.stringify(pageAuthorWorks(result, paging)), {
+    headers: {
+      ...getCORSHeaders(),
+      "X-Cache": "MISS",
+      "X-Provider": result.provider,
+      ...rateLimitHeaders,
+      "X-Debug-Errors": errors.length > 0 ? errors.join("; ") : "none"
+    }
+  });
+}
+
+async function fetchAuthorBibliography(author, env) {
+  const chain = getProviderChain(env, "author");
+  const errors = [];
+  const outcomes = new Map();
+  
+  const fetchFrom = async (adapter, target) => {
+    try {
+      outcomes.set(adapter.name, await adapter.authorWorks(target, { maxResults: AUTHOR_WORKS_LIMIT }, env));
+    } catch (error) {
+      console.error(`Author works - ${adapter.name} failed:`, error.message);
+      errors.push(`${adapter.name}: ${error.message}`);
+    }
+  };
+  
+  // An OLID means nothing to the name-based providers - Open Library resolves it first
+  let target = author;
+  if (!author.name) {
+    const resolver = chain.find((adapter) => adapter.name === "open-library");
+    if (!resolver) {
+      return { result: null, errors: ["open-library: required to look up an author id but not in PROVIDER_ORDER"] };
+    }
+    
+    await fetchFrom(resolver, author);
+    const resolvedName = outcomes.get(resolver.name)?.author?.name;
+    if (!resolvedName) {
+      return { result: null, errors };
+    }
+    target = { ...author, name: resolvedName };
+  }
+  
+  await Promise.all(chain.filter((adapter) => !outcomes.has(adapter.name)).map((adapter) => fetchFrom(adapter, target)));
+  
+  // Chain order decides which provider's copy of a work leads the merge
+  const answered = chain
+    .map((adapter) => ({ provider: adapter.name, volumes: outcomes.get(adapter.name) }))
+    .filter((entry) => entry.volumes?.items?.length > 0);
+  if (answered.length === 0) {
+    return { result: null, errors };
+  }
+  
+  const olAuthor = answered.find((entry) => entry.volumes.author?.olid)?.volumes.author;
+  const works = dedupeAuthorWorks(answered);
+  return {
+    result: {
+      kind: "books#volumes",
+      totalItems: works.length,
+      author: {
+        name: olAuthor?.name || target.name,
+        olid: olAuthor?.olid || author.olid || null
+      },
+      provider: answered.length === 1 ? answered[0].provider : "merge",
+      items: works
+    },
+    errors
+  };
+}
+
+// Open Library lists works, so each of its entries is a group keyed by work id; other
+// providers list editions, which join the Open Library work with the same full title
+// (series suffixes like "(Dune Chronicles, Book 1)" aside) or group among themselves.
+// Subtitles stay in the key - "Dune: House Atreides" is not "Dune". Each group is merged
+// field by field like provider=merge results.
+function dedupeAuthorWorks(answered) {
+  const groups = new Map();
+  const olWorksByTitle = new Map();
+  const addToGroup = (groupKey, entry) => {
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, []);
+    }
+    groups.get(groupKey).push(entry);
+  };
+  
+  for (const { provider, volumes } of answered) {
+    if (provider !== "open-library") {
+      continue;
+    }
+    for (const item of volumes.items) {
+      const titleKey = getWorkTitleKey(item);
+      if (!item.id || !titleKey) {
+        continue;
+      }
+      addToGroup(`ol:${item.id}`, { provider, item });
+      if (!olWorksByTitle.has(titleKey)) {
+        olWorksByTitle.set(titleKey, `ol:${item.id}`);
+      }
+    }
+  }
+  
+  for (const { provider, volumes } of answered) {
+    if (provider === "open-library") {
+      continue;
+    }
+    for (const item of volumes.items) {
+      const titleKey = getWorkTitleKey(item);
+      if (!titleKey) {
+        continue;
+      }
+      addToGroup(olWorksByTitle.get(titleKey) || `title:${titleKey}`, { provider, item });
+    }
+  }
+  
+  return [...groups.values()].map((group) => {
+    const leads = group.filter((entry, index) => group.findIndex((other) => other.provider === entry.provider) === index);
+    const work = mergeVolumes(leads);
+    
+    // A work dates from its earliest edition, not whichever reprint a provider listed first
+    const earliest = group
+      .filter((entry) => getPublicationYear(entry.item) !== null)
+      .sort((a, b) => getPublicationYear(a.item) - getPublicationYear(b.item))[0];
+    if (earliest) {
+      work.volumeInfo.publishedDate = earliest.item.volumeInfo.publishedDate;
+      work.fieldSources.publishedDate = earliest.provider;
+    }
+    
+    // Open Library's work id outlives any single edition's ISBN, and its work title has
+    // none of the edition suffixes ISBNdb titles carry ("... (Vintage International)")
+    const olWork = leads.find((entry) => entry.provider === "open-library");
+    if (olWork?.item?.id) {
+      work.id = olWork.item.id;
+    }
+    if (olWork?.item?.volumeInfo?.title) {
+      work.volumeInfo.title = olWork.item.volumeInfo.title;
+      work.fieldSources.title = olWork.provider;
+    }
+    
+    // Distinct ISBNs the providers listed for the work - a floor, not a full edition count
+    const isbns = new Set();
+    for (const { item } of group) {
+      for (const identifier of item.volumeInfo?.industryIdentifiers || []) {
+        const validation = validateISBN(identifier?.identifier);
+        if (!validation.error) {
+          isbns.add(validation.isbn13);
+        }
+      }
+    }
+    work.matchedEditions = isbns.size;
+    return work;
+  });
+}
+
+function getWorkTitleKey(item) {
+  const title = (item?.volumeInfo?.title || "").replace(/\s*[([][^)\]]*[)\]]\s*$/, "");
+  return normalizeMergeText(title);
+}
+
+function getPublicationYear(item) {
+  const match = item?.volumeInfo?.publishedDate?.match(/\d{4}/);
+  return match ? parseInt(match[0]) : null;
+}
+
+function pageAuthorWorks(bibliography, { maxResults, page, sortBy }) {
+  const works = sortBy === "relevance" ? bibliography.items || [] : sortVolumesByYear(bibliography.items || [], sortBy);
+  
+  const start = (page - 1) * maxResults;
+  return {
+    ...bibliography,
+    totalItems: works.length,
+    page,
+    maxResults,
+    orderBy: sortBy,
+    items: works.slice(start, start + maxResults)
+  };
+}
+
+// Author profile - /author-profile?name=... Open Library resolves the name to an author
+// record (and usually its Wikidata id); Wikidata supplies the cultural metadata, mapped
+// onto the app's AuthorGender and CulturalRegion values. People rarely change, so
+// profiles live in R2 for months.
+const AUTHOR_PROFILE_CACHE_TTL_SECONDS = 15552000; // 180 days
+
+function validateAuthorProfileParams(url) {
+  const errors = [];
+  const sanitized = {};
+  
+  const name = sanitizeAuthorName(url.searchParams.get("name"));
+  if (name.error) {
+    errors.push(name.error);
+  } else {
+    sanitized.name = name.value;
+  }
+  
+  return { errors, sanitized };
+}
+
+async function handleAuthorProfile(request, env, ctx) {
+  const url = new URL(request.url);
+  const validation = validateAuthorProfileParams(url);
+  
+  if (validation.errors.length > 0) {
+    return new Response(JSON.stringify({
+      error: "Invalid parameters",
+      details: validation.errors
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  const { name } = validation.sanitized;
+  
+  const client = await authenticateClient(request, env);
+  if (client.error) {
+    return createUnauthorizedResponse(client.error);
+  }
+  
+  const rateLimitResult = await checkRateLimitEnhanced(request, env, getRateLimitCost("author-profile", null, env), client);
+  if (!rateLimitResult.allowed) {
+    return createRateLimitedResponse(rateLimitResult);
+  }
+  const rateLimitHeaders = getRateLimitHeaders(rateLimitResult);
+  
+  const cacheKey = await generateCacheKey("author-profile", name.toLowerCase());
+  const cached = await getCachedData(cacheKey, env, ctx);
+  if (cached && !cached.stale) {
+    return createCachedResponse(cached, null, rateLimitHeaders);
+  }
+  
+  if (cached && cached.staleSeconds <= STALE_WHILE_REVALIDATE_SECONDS) {
+    revalidateInBackground(cacheKey, AUTHOR_PROFILE_CACHE_TTL_SECONDS, async () => {
+      return (await fetchAuthorProfile(name, env)).result;
+    }, env, ctx);
+    return createCachedResponse(cached, "revalidating", rateLimitHeaders);
+  }
+  
+  const { result, errors } = await fetchAuthorProfile(name, env);
+  
+  if (!result) {
+    if (cached) {
+      return createCachedResponse(cached, "provider-failure", rateLimitHeaders);
+    }
+    
+    // No errors means both sources answered and neither knows the author
+    const notFound = errors.length === 0;
+    return new Response(JSON.stringify({
+      error: notFound ? "Author not found" : "Author profile sources failed",
+      name,
+      details: errors
+    }), {
+      status: notFound ? 404 : 503,
+      headers: {
+        ...getCORSHeaders(),
+        ...rateLimitHeaders
+      }
+    });
+  }
+  
+  setCachedData(cacheKey, result, AUTHOR_PROFILE_CACHE_TTL_SECONDS, env, ctx);
+  
+  return new Response(JSON.stringify(result), {
+    headers: {
+      ...getCORSHeaders(),
+      "X-Cache": "MISS",
+      "X-Provider": result.sources.join(","),
+      ...rateLimitHeaders,
+      "X-Debug-Errors": errors.length > 0 ? errors.join("; ") : "none"
+    }
+  });
+}
+
+// Open Library first so its Wikidata link can skip the name search; either source alone
+// still makes a (thinner) profile
+async function fetchAuthorProfile(name, env) {
+  const errors = [];
+  
+  let author = null;
+  try {
+    author = await getProvider("open-library").authorRecord(name, env);
+  } catch (error) {
+    console.error("Author profile - open-library failed:", error.message);
+    errors.push(`open-library: ${error.message}`);
+  }
+  
+  let person = null;
+  try {
+    person = await fetchWikidataPerson({
+      id: author?.wikidataId,
+      name: author?.name || name,
+      birthYear: normalizePublishedDate(author?.birthDate).year
+    }, env);
+  } catch (error) {
+    console.error("Author profile - wikidata failed:", error.message);
+    errors.push(`wikidata: ${error.message}`);
+  }
+  
+  if (!author && !person) {
+    return { result: null, errors };
+  }
+  
+  const citizenships = person?.citizenships || [];
+  return {
+    result: {
+      name: person?.name || author?.name || name,
+      olid: author?.olid || null,
+      wikidataId: person?.id || null,
+      // Field names and values match BookMetadata: authorNationality, AuthorGender, CulturalRegion
+      authorNationality: citizenships[0]?.name || null,
+      nationalities: citizenships.map((citizenship) => citizenship.name).filter(Boolean),
+      authorGender: person?.gender || "Unknown",
+      authorEthnicity: person?.ethnicities[0] || null,
+      culturalRegion: person?.indigenous ? "Indigenous" : citizenships.find((citizenship) => citizenship.region)?.region || null,
+      birthDate: person?.birthDate || normalizePublishedDate(author?.birthDate).date,
+      birthPlace: person?.birthPlace || null,
+      photo: person?.photo || author?.photo || null,
+      sources: [author && "open-library", person && "wikidata"].filter(Boolean)
+    },
+    errors
+  };
+}
+
+// Editions of the work an ISBN belongs to - Open Library groups editions under works,
+// so a scanned paperback leads to the hardcover, the ebook and the translations
+const EDITIONS_LIMIT = 500;
+const EDITIONS_CACHE_TTL_SECONDS = 604800; // 7 days
+
+async function handleEditionsLookup(request, env, ctx) {
+  const url = new URL(request.url);
+  const validation = validateISBN(url.searchParams.get("isbn"));
+  if (validation.error) {
+    return new Response(JSON.stringify({
+      error: validation.error
+    }), {
+      status: 400,
+      headers: getCORSHeaders()
+    });
+  }
+  
+  const isbn = validation.sanitized;
+  
+  const client = await authenticateClient(request, env);
+  if (client.error) {
+    return createUnauthorizedResponse(client.error);
+  }
+  
+  const rateLimitResult = await checkRateLimitEnhanced(request, env, getRateLimitCost("editions", null, env), client);
+  if (!rateLimitResult.allowed) {
+    return createRateLimitedResponse(rateLimitResult);
+  }
+  const rateLimitHeaders = getRateLimitHeaders(rateLimitResult);
+  
+  const cacheKey = await generateCacheKey("editions", isbn);
+  const cached = await getCachedData(cacheKey, env, ctx);
+  if (cached && !cached.stale) {
+    return createCachedResponse(cached, null, rateLimitHeaders);
+  }
+  
+  if (cached && cached.staleSeconds <= STALE_WHILE_REVALIDATE_SECONDS) {
+    revalidateInBackground(cacheKey, EDITIONS_CACHE_TTL_SECONDS, async () => {
+      return (await fetchEditions(isbn, env)).result;
+    }, env, ctx);
+    return createCachedResponse(cached, "revalidating", rateLimitHeaders);
+  }
+  
+  if (!cached && url.searchParams.get("refresh") !== "true") {
+    const negative = await getNegativeCacheEntry(isbn, "editions", env);
+    if (negative) {
+      return createEditionsMissResponse(isbn, [], {
+        ...rateLimitHeaders,
+        "X-Cache": "HIT-NEGATIVE",
+        "Age": negative.age.toString()
+      });
+    }
+  }
+  
+  const { result, errors } = await fetchEditions(isbn, env);
+  
+  if (!result) {
+    if (cached) {
+      return createCachedResponse(cached, "provider-failure", rateLimitHeaders);
+    }
+    if (errors.length === 0) {
+      setNegativeCacheEntry(isbn, "editions", env, ctx);
+      return createEditionsMissResponse(isbn, errors, { ...rateLimitHeaders, "X-Cache": "MISS" });
+    }
+    return new Response(JSON.stringify({
+      error: "Editions lookup failed",
+      isbn,
+      details: errors
+    }), {
+      status: 503,
+      headers: {
+        ...getCORSHeaders(),
+        ...rateLimitHeaders
+      }
+    });
+  }
+  
+  setCachedData(cacheKey, result, EDITIONS_CACHE_TTL_SECONDS, env, ctx);
+  
+  return new Response(JSON.stringify(result), {
+    headers: {
+      ...getCORSHeaders(),
+      "X-Cache": "MISS",
+      "X-Provider": result.provider,
+      ...rateLimitHeaders
+    }
+  });
+}
+
+function createEditionsMissResponse(isbn, errors, headers) {
+  return new Response(JSON.stringify({
+    error: "No editions found for this ISBN",
+    isbn,
+    details: errors
+  }), {
+    status: 404,
+    headers: {
+      ...getCORSHeaders(),
+      ...headers
+    }
+  });
+}
+
+// First editions-capable provider that knows the ISBN wins
+async function fetchEditions(isbn, env) {
+  const errors = [];
+  for (const adapter of getProviderChain(env, "editions")) {
+    try {
+      const result = await adapter.editions(isbn, { maxResults: EDITIONS_LIMIT }, env);
+      if (!result) {
+        continue;
+      }
+      
+      // Either ISBN form on an edition counts as the one that was asked for
+      for (const item of result.items) {
+        item.requested = (item.volumeInfo.industryIdentifiers || []).some((identifier) => {
+          return validateISBN(identifier.identifier).sanitized === isbn;
+        });
+      }
+      
+      result.requestedIsbn = isbn;
+      result.provider = adapter.name;
+      return { result, errors };
+    } catch (error) {
+      console.error(`Editions - ${adapter.name} failed:`, error.message);
+      errors.push(`${adapter.name}: ${error.message}`);
+    }
+  }
+  return { result: null, errors };
+}
+
+// v2 API - /v2/search and /v2/isbn run the same validation, rate limiting, provider chain
+// and cache as v1 and rewrite the Google-shaped payload into the BooksTrack schema on the
+// way out, so both versions share cache entries and v1 keeps the shape old app builds decode
+async function handleV2Request(request, env, ctx, handler, toV2) {
+  // fields= trims volumeInfo keys the v2 schema is built from
+  const url = new URL(request.url);
+  url.searchParams.delete("fields");
+  
+  const response = await handler(new Request(url.toString(), request), env, ctx);
+  if (response.status !== 200) {
+    return response;
+  }
+  
+  const payload = await response.json();
+  return new Response(JSON.stringify(await toV2(payload)), {
+    status: response.status,
+    headers: response.headers
+  });
+}
+
+async function toSearchResultV2(result) {
+  return {
+    version: 2,
+    totalItems: result.totalItems || 0,
+    startIndex: result.startIndex || 0,
+    nextPage: result.nextPage || null,
+    sort: result.sort || null,
+    items: await Promise.all((result.items || []).map((item) => toBookV2(item, result.provider)))
+  };
+}
+
+async function toLookupResultV2(volume) {
+  return {
+    version: 2,
+    book: await toBookV2(volume, volume.provider)
+  };
+}
+
+async function toBookV2(volume, providerName) {
+  const info = volume.volumeInfo || {};
+  const identifiers = getBookIdentifiersV2(volume, providerName);
+  const languages = [...new Set([info.language, ...(info.languages || [])].map(toLanguageCode).filter(Boolean))];
+  
+  return {
+    id: await getStableBookId(identifiers, info),
+    title: info.title || "",
+    subtitle: info.subtitle || null,
+    authors: info.authors || [],
+    publisher: info.publisher || null,
+    published: normalizePublishedDate(info.publishedDate),
+    firstPublished: normalizePublishedDate(info.firstPublishedDate),
+    description: info.description || null,
+    pageCount: info.pageCount || null,
+    subjects: info.categories || [],
+    language: languages[0] || null,
+    languages,
+    originalLanguage: toLanguageCode(info.originalLanguage) || null,
+    format: normalizeBookFormat(info.format),
+    binding: info.format || null,
+    edition: info.edition || null,
+    dimensions: formatDimensions(info.dimensions),
+    deweyDecimal: info.deweyDecimal || [],
+    identifiers,
+    images: info.imageLinks ? {
+      thumbnail: info.imageLinks.thumbnail || null,
+      small: info.imageLinks.smallThumbnail || null
+    } : null,
+    rating: info.averageRating ? {
+      average: info.averageRating,
+      count: info.ratingsCount || null
+    } : null,
+    links: {
+      preview: info.previewLink || null,
+      info: info.infoLink || null
+    },
+    provider: {
+      name: providerName || null,
+      sources: volume.mergedProviders || (providerName ? [providerName] : []),
+      fieldSources: volume.fieldSources || null
+    }
+  };
+}
+
+// v1 puts whatever id the provider had into `id`: a Google volume id, an Open Library
+// work (OL...W) or edition (OL...M) key, or ISBNdb's ISBN. v2 types each one.
+function getBookIdentifiersV2(volume, providerName) {
+  const identifiers = { isbn10: null, isbn13: null, google: null, olWork: null, olEdition: null };
+  
+  for (const identifier of volume.volumeInfo?.industryIdentifiers || []) {
+    const validation = validateISBN(identifier?.identifier);
+    if (!validation.error && !identifiers.isbn13) {
+      identifiers.isbn13 = validation.isbn13;
+      identifiers.isbn10 = validation.isbn10;
+    }
+  }
+  
+  const id = volume.id || "";
+  const sources = volume.mergedProviders || [providerName];
+  if (/^OL\d+W$/.test(id)) {
+    identifiers.olWork = id;
+  } else if (/^OL\d+M$/.test(id)) {
+    identifiers.olEdition = id;
+  } else if (id && validateISBN(id).error && sources.includes("google-books")) {
+    identifiers.google = id;
+  }
+  
+  return identifiers;
+}
+
+// Hash of the strongest identifier, so the same book gets the same id whichever provider answered
+async function getStableBookId(identifiers, info) {
+  const key = identifiers.isbn13 ? `isbn13:${identifiers.isbn13}`
+    : identifiers.olWork ? `olWork:${identifiers.olWork}`
+    : identifiers.olEdition ? `olEdition:${identifiers.olEdition}`
+    : identifiers.google ? `google:${identifiers.google}`
+    : `title:${normalizeMergeText(info.title)}|${normalizeMergeText(info.authors?.[0])}`;
+  return `bk_${(await sha256Hex(key)).slice(0, 16)}`;
+}
+
+const MONTH_NAMES = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+
+// "2004-05-01T00:00:01Z", "May 1, 2004", "1 May 2004", "June 1950", "c1949" ->
+// the most precise ISO date the text supports plus the year on its own
+function normalizePublishedDate(raw) {
+  const text = (raw || "").toString().trim();
+  const result = { date: null, year: null, raw: text || null };
+  if (!text) {
+    return result;
+  }
+  
+  const iso = text.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?/);
+  const monthFirst = text.match(/\b([a-z]+)\.?\s+(?:(\d{1,2})(?:st|nd|rd|th)?,?\s+)?(\d{4})\b/i);
+  const dayFirst = text.match(/\b(\d{1,2})\s+([a-z]+)\.?,?\s+(\d{4})\b/i);
+  
+  let year = null;
+  let month = null;
+  let day = null;
+  // Day first wins: monthFirst also matches the "May 2004" inside "1 May 2004"
+  if (iso) {
+    [, year, month, day] = iso;
+  } else if (dayFirst && getMonthNumber(dayFirst[2])) {
+    [, day, , year] = dayFirst;
+    month = getMonthNumber(dayFirst[2]);
+  } else if (monthFirst && getMonthNumber(monthFirst[1])) {
+    [, , day, year] = monthFirst;
+    month = getMonthNumber(monthFirst[1]);
+  } else {
+    // Catalog years often carry a prefix: "c1949", "[1950?]"
+    year = text.match(/(?:^|\D)(\d{4})(?!\d)/)?.[1] || null;
+  }
+  if (!year) {
+    return result;
+  }
+  
+  const parts = [year];
+  if (month && parseInt(month) >= 1 && parseInt(month) <= 12) {
+    parts.push(month.toString().padStart(2, "0"));
+    if (day && parseInt(day) >= 1 && parseInt(day) <= 31) {
+      parts.push(day.toString().padStart(2, "0"));
+    }
+  }
+  result.date = parts.join("-");
+  result.year = parseInt(year);
+  return result;
+}
+
+// Full month names and abbreviations ("Jun", "Sept.") -> 1-12; any other word is not a month
+function getMonthNumber(word) {
+  const token = word.toLowerCase();
+  if (token.length < 3) {
+    return null;
+  }
+  const index = MONTH_NAMES.findIndex((name) => name.startsWith(token));
+  return index >= 0 ? index + 1 : null;
+}
+
+// Binding text as ISBNdb / Open Library write it -> one of the app's formats; first match wins,
+// so "Mass Market Paperback" is mass-market rather than paperback
+const BOOK_FORMAT_PATTERNS = [
+  ["audiobook", /audio|mp3|\bcd\b/i],
+  ["ebook", /e-?book|kindle|epub|digital|electronic/i],
+  ["mass-market", /mass market/i],
+  ["hardcover", /hard ?(cover|back)|cloth|library binding/i],
+  ["paperback", /paper ?back|soft ?cover|trade paper/i]
+];
+
+function normalizeBookFormat(binding) {
+  if (!binding) {
+    return null;
+  }
+  const match = BOOK_FORMAT_PATTERNS.find(([, pattern]) => pattern.test(binding));
+  return match ? match[0] : "other";
+}
+
+// ISBNdb sends a sentence, Google an object of measurements
+function formatDimensions(dimensions) {
+  if (!dimensions) {
+    return null;
+  }
+  if (typeof dimensions === "string") {
+    return dimensions;
+  }
+  const parts = [dimensions.height, dimensions.width, dimensions.thickness].filter(Boolean);
+  return parts.length > 0 ? parts.join(" x ") : null;
+}
+
+// Durable Object backing both limiters. Each client gets its own instance holding
+// sliding windows of weighted requests; "bucket:isbndb" is a single global token
+// bucket that hands out reservations instead of rejecting.
+export class RateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+  
+  async fetch(request) {
+    const url = new URL(request.url);
+    const params = await request.json();
+    
+    if (url.pathname === "/window") {
+      return Response.json(await this.consumeWindow(params));
+    } else if (url.pathname === "/bucket") {
+      return Response.json(await this.reserveToken(params));
+    }
+    
+    return new Response("Not found", { status: 404 });
+  }
+  
+  // Each window keeps request costs in up to 1440 time buckets, so a daily quota
+  // slides with one-minute precision without an unbounded request log
+  async consumeWindow({ windows, cost = 1 }) {
+    const now = Date.now();
+    const states = [];
+    
+    for (const window of windows) {
+      const windowMs = window.windowSeconds * 1000;
+      const granularity = Math.max(1000, Math.floor(windowMs / 1440));
+      const buckets = ((await this.state.storage.get(`window:${window.windowSeconds}`)) || [])
+        .filter(([start]) => start + granularity > now - windowMs);
+      const used = buckets.reduce((sum, [, count]) => sum + count, 0);
+      states.push({ ...window, windowMs, granularity, buckets, used });
+    }
+    
+    const blocked = states.filter((state) => state.used + cost > state.limit);
+    if (blocked.length > 0) {
+      // Retry once enough of the oldest requests have slid out of every exhausted window
+      let retryAt = now;
+      for (const state of blocked) {
+        let freed = 0;
+        let windowRetryAt = now + state.windowMs;
+        for (const [start, count] of state.buckets) {
+          freed += count;
+          if (state.used - freed + cost <= state.limit) {
+            windowRetryAt = start + state.granularity + state.windowMs;
+            break;
+          }
+        }
+        retryAt = Math.max(retryAt, windowRetryAt);
+      }
+      
+      for (const state of states) {
+        await this.state.storage.put(`window:${state.windowSeconds}`, state.buckets);
+      }
+      
+      const retryAfter = Math.max(1, Math.ceil((retryAt - now) / 1000));
+      return { allowed: false, ...this.summarizeWindows(states, now), remaining: 0, retryAfter, reset: retryAfter };
+    }
+    
+    for (const state of states) {
+      const bucketStart = Math.floor(now / state.granularity) * state.granularity;
+      const current = state.buckets[state.buckets.length - 1];
+      if (current && current[0] === bucketStart) {
+        current[1] += cost;
+      } else {
+        state.buckets.push([bucketStart, cost]);
+      }
+      state.used += cost;
+      await this.state.storage.put(`window:${state.windowSeconds}`, state.buckets);
+    }
+    
+    // Drop idle clients' storage once their longest window has fully passed
+    const longestWindowMs = Math.max(...states.map((state) => state.windowMs));
+    await this.state.storage.put("lastRequest", now);
+    await this.state.storage.put("longestWindowMs", longestWindowMs);
+    await this.state.storage.setAlarm(now + longestWindowMs);
+    
+    return { allowed: true, ...this.summarizeWindows(states, now) };
+  }
+  
+  // Report the most constraining window
+  summarizeWindows(states, now) {
+    const tightest = states.reduce((best, state) =>
+      state.limit - state.used < best.limit - best.used ? state : best
+    );
+    const oldest = tightest.buckets[0];
+    
+    return {
+      limit: tightest.limit,
+      used: tightest.used,
+      remaining: Math.max(0, tightest.limit - tightest.used),
+      reset: oldest
+        ? Math.max(1, Math.ceil((oldest[0] + tightest.granularity + tightest.windowMs - now) / 1000))
+        : tightest.windowSeconds
+    };
+  }
+  
+  async reserveToken({ capacity = 1, refillPerSecond = 1 }) {
+    const now = Date.now();
+    const bucket = (await this.state.storage.get("bucket")) || { tokens: capacity, updated: now };
+    
+    // Refill since the last reservation, then take a token - going negative means
+    // the caller has to wait for the debt to refill
+    const tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updated) / 1000) * refillPerSecond) - 1;
+    await this.state.storage.put("bucket", { tokens, updated: now });
+    
+    return { waitMs: tokens < 0 ? Math.ceil((-tokens / refillPerSecond) * 1000) : 0 };
+  }
+  
+  async alarm() {
+    const lastRequest = (await this.state.storage.get("lastRequest")) || 0;
+    const longestWindowMs = (await this.state.storage.get("longestWindowMs")) || 0;
+    if (lastRequest <= Date.now() - longestWindowMs) {
+      await this.state.storage.deleteAll();
+    }
+  }
+}
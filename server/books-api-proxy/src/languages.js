@@ -0,0 +1,30 @@
+// Language codes across providers: Google Books and ISBNdb use ISO 639-1 ("es"),
+// Open Library uses MARC codes ("/languages/spa"). The volumes shape we serve is ISO 639-1.
+
+// MARC (ISO 639-2/B) -> ISO 639-1
+const MARC_LANGUAGE_CODES = {
+  eng: "en", fre: "fr", ger: "de", spa: "es", ita: "it", por: "pt", dut: "nl",
+  rus: "ru", jpn: "ja", chi: "zh", kor: "ko", ara: "ar", heb: "he", hin: "hi",
+  swe: "sv", nor: "no", dan: "da", fin: "fi", pol: "pl", cze: "cs", gre: "el",
+  tur: "tr", hun: "hu", rum: "ro", ukr: "uk", cat: "ca", lat: "la"
+};
+
+// ISO 639-2/T spellings that differ from MARC
+const TERMINOLOGY_LANGUAGE_CODES = {
+  fra: "fr", deu: "de", nld: "nl", zho: "zh", ces: "cs", ell: "el", ron: "ro"
+};
+
+// "es", "spa", "/languages/spa" -> "es"; unknown codes come back as given
+export function toLanguageCode(code) {
+  const value = code?.replace("/languages/", "").toLowerCase();
+  if (!value) {
+    return "";
+  }
+  return MARC_LANGUAGE_CODES[value] || TERMINOLOGY_LANGUAGE_CODES[value] || value;
+}
+
+// "es" -> "spa" for Open Library queries
+export function toMarcLanguageCode(code) {
+  const iso = toLanguageCode(code);
+  return Object.keys(MARC_LANGUAGE_CODES).find((marc) => MARC_LANGUAGE_CODES[marc] === iso) || iso;
+}
@@ -0,0 +1,201 @@
+// Request, provider, cache and rate-limit metrics in Prometheus format
+// Metrics are buffered per isolate and flushed every few seconds to the
+// MetricsCollector Durable Object, which aggregates across isolates for /metrics
+const METRICS_FLUSH_INTERVAL_MS = 10000;
+const PROVIDER_LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 20];
+
+const METRIC_DEFINITIONS = {
+  books_api_requests_total: { type: "counter", help: "Requests handled, by route and HTTP status" },
+  books_api_cache_lookups_total: { type: "counter", help: "Cache lookups on /search, /isbn, /author, /editions and /cover, by result (KV-HOT, R2-COLD, STALE, NEGATIVE, MISS)" },
+  books_api_cache_hit_ratio: { type: "gauge", help: "Share of cache lookups answered by each result, per route" },
+  books_api_provider_requests_total: { type: "counter", help: "Upstream provider calls, by outcome (success, not_found, failure, timeout)" },
+  books_api_provider_latency_seconds: { type: "histogram", help: "Upstream provider call latency" },
+  books_api_auto_chain_total: { type: "counter", help: "Provider that answered an auto-mode request (none = every provider failed)" },
+  books_api_rate_limit_rejections_total: { type: "counter", help: "Requests rejected with 429, by route" },
+  books_api_circuit_rejections_total: { type: "counter", help: "Provider calls skipped because the provider's circuit breaker was open" }
+};
+
+let metricsBuffer = { counters: {}, histograms: {} };
+let metricsLastFlush = Date.now();
+
+function formatMetricLabels(labels) {
+  return Object.keys(labels)
+    .sort()
+    .map((name) => `${name}="${String(labels[name]).replace(/["\\\n]/g, "_")}"`)
+    .join(",");
+}
+
+export function incrementMetric(name, labels = {}, value = 1) {
+  const key = `${name}|${formatMetricLabels(labels)}`;
+  metricsBuffer.counters[key] = (metricsBuffer.counters[key] || 0) + value;
+}
+
+// Histogram buckets are stored cumulatively, as Prometheus expects them
+export function observeMetric(name, labels, value) {
+  const key = `${name}|${formatMetricLabels(labels)}`;
+  const histogram = metricsBuffer.histograms[key] ||
+    (metricsBuffer.histograms[key] = { buckets: PROVIDER_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+  
+  PROVIDER_LATENCY_BUCKETS.forEach((bound, index) => {
+    if (value <= bound) {
+      histogram.buckets[index] += 1;
+    }
+  });
+  histogram.sum += value;
+  histogram.count += 1;
+}
+
+export function recordProviderCall(provider, outcome, started) {
+  incrementMetric("books_api_provider_requests_total", { provider, outcome });
+  observeMetric("books_api_provider_latency_seconds", { provider }, (Date.now() - started) / 1000);
+}
+
+export function getMetricsRoute(path) {
+  if (path.startsWith("/admin/")) {
+    return "admin";
+  }
+  if (path.startsWith("/cover/")) {
+    return "cover";
+  }
+  if (path === "/author" || path.startsWith("/author/")) {
+    return "author";
+  }
+  if (path === "/author-profile") {
+    return "author-profile";
+  }
+  const routes = { "/search": "search", "/isbn": "isbn", "/isbn/batch": "isbn-batch", "/v2/search": "search-v2", "/v2/isbn": "isbn-v2", "/editions": "editions", "/health": "health", "/metrics": "metrics" };
+  return routes[path] || "other";
+}
+
+export function recordRequestMetrics(path, response) {
+  const route = getMetricsRoute(path);
+  incrementMetric("books_api_requests_total", { route, status: response.status });
+  
+  if (response.status === 429) {
+    incrementMetric("books_api_rate_limit_rejections_total", { route });
+  }
+  
+  const cacheStatus = response.headers.get("X-Cache");
+  if (cacheStatus && ["search", "isbn", "search-v2", "isbn-v2", "author", "author-profile", "editions", "cover"].includes(route)) {
+    incrementMetric("books_api_cache_lookups_total", { route, result: cacheStatus.replace(/^HIT-/, "") });
+  }
+}
+
+export function flushMetrics(env, ctx, force = false) {
+  if (!env.METRICS || (!force && Date.now() - metricsLastFlush < METRICS_FLUSH_INTERVAL_MS)) {
+    return null;
+  }
+  
+  const snapshot = metricsBuffer;
+  metricsBuffer = { counters: {}, histograms: {} };
+  metricsLastFlush = Date.now();
+  
+  if (Object.keys(snapshot.counters).length === 0 && Object.keys(snapshot.histograms).length === 0) {
+    return null;
+  }
+  
+  const collector = env.METRICS.get(env.METRICS.idFromName("global"));
+  const flush = collector.fetch("https://metrics/record", {
+    method: "POST",
+    body: JSON.stringify(snapshot)
+  }).catch((error) => console.warn("Metrics flush failed:", error.message));
+  
+  if (ctx && ctx.waitUntil) {
+    ctx.waitUntil(flush);
+  }
+  return flush;
+}
+
+export function renderPrometheusMetrics(snapshot) {
+  const lines = [];
+  const parseLabels = (labelString) => Object.fromEntries([...labelString.matchAll(/(\w+)="([^"]*)"/g)].map((match) => [match[1], match[2]]));
+  
+  // Hit ratios are derived from the cache lookup counters
+  const cacheTotals = {};
+  for (const [key, value] of Object.entries(snapshot.counters)) {
+    if (key.startsWith("books_api_cache_lookups_total|")) {
+      const { route } = parseLabels(key.split("|")[1]);
+      cacheTotals[route] = (cacheTotals[route] || 0) + value;
+    }
+  }
+  
+  for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+    lines.push(`# HELP ${name} ${definition.help}`, `# TYPE ${name} ${definition.type}`);
+    
+    if (definition.type === "counter") {
+      for (const [key, value] of Object.entries(snapshot.counters)) {
+        const [seriesName, labels] = key.split("|");
+        if (seriesName === name) {
+          lines.push(`${name}${labels ? `{${labels}}` : ""} ${value}`);
+        }
+      }
+    } else if (definition.type === "histogram") {
+      for (const [key, histogram] of Object.entries(snapshot.histograms)) {
+        const [seriesName, labels] = key.split("|");
+        if (seriesName !== name) {
+          continue;
+        }
+        const prefix = labels ? `${labels},` : "";
+        PROVIDER_LATENCY_BUCKETS.forEach((bound, index) => {
+          lines.push(`${name}_bucket{${prefix}le="${bound}"} ${histogram.buckets[index]}`);
+        });
+        lines.push(`${name}_bucket{${prefix}le="+Inf"} ${histogram.count}`);
+        lines.push(`${name}_sum${labels ? `{${labels}}` : ""} ${histogram.sum.toFixed(3)}`);
+        lines.push(`${name}_count${labels ? `{${labels}}` : ""} ${histogram.count}`);
+      }
+    } else if (name === "books_api_cache_hit_ratio") {
+      for (const [key, value] of Object.entries(snapshot.counters)) {
+        const [seriesName, labels] = key.split("|");
+        if (seriesName === "books_api_cache_lookups_total") {
+          const { route } = parseLabels(labels);
+          lines.push(`${name}{${labels}} ${(value / cacheTotals[route]).toFixed(4)}`);
+        }
+      }
+    }
+  }
+  
+  return `${lines.join("\n")}\n`;
+}
+
+// Metrics recorded by this isolate since its last flush
+export function getLocalMetricsSnapshot() {
+  return metricsBuffer;
+}
+
+// Durable Object aggregating the per-isolate metric buffers into one snapshot
+export class MetricsCollector {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+  
+  async fetch(request) {
+    const url = new URL(request.url);
+    const metrics = (await this.state.storage.get("metrics")) || { counters: {}, histograms: {} };
+    
+    if (url.pathname === "/record") {
+      const batch = await request.json();
+      
+      for (const [key, value] of Object.entries(batch.counters || {})) {
+        metrics.counters[key] = (metrics.counters[key] || 0) + value;
+      }
+      for (const [key, histogram] of Object.entries(batch.histograms || {})) {
+        const existing = metrics.histograms[key];
+        if (!existing) {
+          metrics.histograms[key] = histogram;
+          continue;
+        }
+        existing.buckets = existing.buckets.map((count, index) => count + (histogram.buckets[index] || 0));
+        existing.sum += histogram.sum;
+        existing.count += histogram.count;
+      }
+      
+      await this.state.storage.put("metrics", metrics);
+      return Response.json({ recorded: true });
+    } else if (url.pathname === "/snapshot") {
+      return Response.json(metrics);
+    }
+    
+    return new Response("Not found", { status: 404 });
+  }
+}
@@ -0,0 +1,84 @@
+// Google Books adapter (SECONDARY PROVIDER) - already in the books#volumes shape we serve
+import { safeFetch } from "../upstream.js";
+import { assertCircuitClosed } from "../circuit-breaker.js";
+import { isReplayMode } from "../fixtures.js";
+
+export const googleBooksProvider = {
+  name: "google-books",
+  label: "Google Books",
+  param: "google",
+  capabilities: {
+    search: true,
+    lookup: true,
+    author: false,
+    editions: false,
+    sorts: ["relevance", "newest"],
+    langRestrict: true
+  },
+  
+  // Google Books Search - Memory protected
+  async search(query, options, env) {
+    const apiKey = getApiKey(env);
+    if (!apiKey) {
+      throw new Error("Google Books API key not configured");
+    }
+    
+    await assertCircuitClosed(this.name, env);
+    
+    const params = new URLSearchParams({
+      q: query,
+      maxResults: options.maxResults.toString(),
+      startIndex: (options.startIndex || 0).toString(),
+      printType: "books",
+      projection: "full",
+      orderBy: options.sortBy === "newest" ? "newest" : "relevance",
+      key: apiKey
+    });
+    
+    if (options.langRestrict) {
+      params.append("langRestrict", options.langRestrict);
+    }
+    
+    const data = await safeFetch(`https://www.googleapis.com/books/v1/volumes?${params}`, {
+      signal: AbortSignal.timeout(10000)
+    }, { env, provider: this.name });
+    
+    return this.normalize(data, { operation: "search" });
+  },
+  
+  // Google Books ISBN Lookup - Memory protected
+  async lookup(isbn, env) {
+    const apiKey = getApiKey(env);
+    if (!apiKey) {
+      throw new Error("Google Books API key not configured");
+    }
+    
+    await assertCircuitClosed(this.name, env);
+    
+    const params = new URLSearchParams({
+      q: `isbn:${isbn}`,
+      maxResults: "1",
+      printType: "books",
+      projection: "full",
+      key: apiKey
+    });
+    
+    const data = await safeFetch(`https://www.googleapis.com/books/v1/volumes?${params}`, {
+      signal: AbortSignal.timeout(10000)
+    }, { env, provider: this.name });
+    
+    return this.normalize(data, { operation: "lookup", isbn });
+  },
+  
+  normalize(data, { operation }) {
+    if (operation === "lookup") {
+      return data.items?.[0] || null;
+    }
+    return data;
+  }
+};
+
+// Replay never reaches Google, so it runs without a key (fixtures are recorded with key= stripped)
+function getApiKey(env) {
+  return env.google1 || env.google2 || (isReplayMode(env) ? "replay" : null);
+}
@@ -0,0 +1,58 @@
+// Provider adapter registry
+//
+// Every adapter implements the same interface:
+//   name / label / param  - internal id, display name, value accepted by ?provider=
+//   capabilities          - { search, lookup, author, editions, sorts, langRestrict }
+//                           sorts lists the sortBy values the provider applies itself
+//   search(query, { maxResults, startIndex, sortBy, langRestrict }, env) -> books#volumes
+//                           startIndex is a 0-based offset; adapters map it to their own paging.
+//                           langRestrict is ISO 639-1 or null; adapters without the langRestrict
+//                           capability are post-filtered by the handler
+//   lookup(isbn, env)     - books#volume, or null when the ISBN is unknown
+//   authorWorks({ name, olid }, { maxResults }, env) - books#volumes with an author
+//                           block, or null when the author is unknown (author capability only)
+//   editions(isbn, { maxResults }, env) - books#volumes of every edition of the ISBN's
+//                           work, or null when the ISBN is unknown (editions capability only)
+//   normalize(payload, { operation, isbn }) - raw upstream payload -> the shapes above
+//
+// Adding a source means writing an adapter and listing it below; the handlers only
+// ever walk the ordered chain.
+import { isbndbProvider } from "./isbndb.js";
+import { googleBooksProvider } from "./google-books.js";
+import { openLibraryProvider } from "./open-library.js";
+
+const PROVIDER_ADAPTERS = [isbndbProvider, googleBooksProvider, openLibraryProvider];
+
+// Auto-mode priority; override per deployment with PROVIDER_ORDER="google-books,isbndb,..."
+export const DEFAULT_PROVIDER_ORDER = ["isbndb", "google-books", "open-library"];
+
+export function getProvider(name) {
+  return PROVIDER_ADAPTERS.find((adapter) => adapter.name === name) || null;
+}
+
+export function getProviderByParam(param) {
+  return PROVIDER_ADAPTERS.find((adapter) => adapter.param === param) || null;
+}
+
+export function getProviderParams() {
+  return PROVIDER_ADAPTERS.map((adapter) => adapter.param);
+}
+
+export function getProviderChain(env, capability = null) {
+  const order = env.PROVIDER_ORDER
+    ? env.PROVIDER_ORDER.split(",").map((name) => name.trim()).filter(Boolean)
+    : DEFAULT_PROVIDER_ORDER;
+  
+  const chain = [];
+  for (const name of order) {
+    const adapter = getProvider(name);
+    if (!adapter) {
+      console.warn(`Unknown provider in PROVIDER_ORDER: ${name}`);
+      continue;
+    }
+    if (!capability || adapter.capabilities[capability]) {
+      chain.push(adapter);
+    }
+  }
+  return chain;
+}
@@ -0,0 +1,356 @@
+// Open Library adapter (TERTIARY PROVIDER) - free, no key required
+import { safeFetch } from "../upstream.js";
+import { assertCircuitClosed } from "../circuit-breaker.js";
+import { toLanguageCode, toMarcLanguageCode } from "../languages.js";
+
+// sortBy -> search.json sort; relevance is the default order
+const OPEN_LIBRARY_SORTS = { newest: "new", oldest: "old", popularity: "rating" };
+
+export const openLibraryProvider = {
+  name: "open-library",
+  label: "Open Library",
+  param: "openlibrary",
+  capabilities: {
+    search: true,
+    lookup: true,
+    author: true,
+    editions: true,
+    sorts: ["relevance", "newest", "oldest", "popularity"],
+    langRestrict: true
+  },
+  
+  // Open Library Search - Memory protected
+  async search(query, options, env) {
+    await assertCircuitClosed(this.name, env);
+    
+    // Open Library filters languages inside the query itself
+    const params = new URLSearchParams({
+      q: options.langRestrict ? `${query} language:${toMarcLanguageCode(options.langRestrict)}` : query,
+      limit: options.maxResults.toString(),
+      offset: (options.startIndex || 0).toString(),
+      fields: "key,title,author_name,first_publish_year,isbn,publisher,language,subject,cover_i,edition_count,ratings_average,ratings_count",
+      format: "json"
+    });
+    if (OPEN_LIBRARY_SORTS[options.sortBy]) {
+      params.set("sort", OPEN_LIBRARY_SORTS[options.sortBy]);
+    }
+    
+    const data = await safeFetch(`https://openlibrary.org/search.json?${params}`, {
+      signal: AbortSignal.timeout(20000)
+    }, { env, provider: this.name });
+    
+    // language: matched one of the work's editions - report that language, not the first listed
+    const volumes = this.normalize(data, { operation: "search" });
+    if (options.langRestrict) {
+      for (const item of volumes.items) {
+        item.volumeInfo.language = options.langRestrict;
+      }
+    }
+    return volumes;
+  },
+  
+  // Open Library ISBN Lookup - jscmd=data resolves author names, publishers and covers;
+  // the edition record has the real languages and links to the work, which carries the
+  // description, first publish date and subjects
+  async lookup(isbn, env) {
+    await assertCircuitClosed(this.name, env);
+    
+    const [data, edition] = await Promise.all([
+      safeFetch(`https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`, {
+        signal: AbortSignal.timeout(20000)
+      }, { env, provider: this.name }),
+      fetchEditionRecord(isbn, env).catch((error) => {
+        console.warn(`Open Library edition record for ${isbn} unavailable:`, error.message);
+        return null;
+      })
+    ]);
+    if (!data[`ISBN:${isbn}`]) {
+      return null;
+    }
+    
+    let work = null;
+    const workKey = edition?.works?.[0]?.key;
+    if (workKey) {
+      try {
+        work = await safeFetch(`https://openlibrary.org${workKey}.json`, {
+          signal: AbortSignal.timeout(20000)
+        }, { env, provider: this.name });
+      } catch (error) {
+        console.warn(`Open Library work record ${workKey} unavailable:`, error.message);
+      }
+    }
+    
+    return this.normalize({ ...data, edition, work }, { operation: "lookup", isbn });
+  },
+  
+  // Author bibliography - an OLID is used as is, a name resolves to the best
+  // match from the authors search; then their works list
+  async authorWorks(author, options, env) {
+    await assertCircuitClosed(this.name, env);
+    
+    let { name, olid } = author;
+    if (olid) {
+      try {
+        const record = await safeFetch(`https://openlibrary.org/authors/${olid}.json`, {
+          signal: AbortSignal.timeout(20000)
+        }, { env, provider: this.name });
+        name = record.name || record.personal_name || name;
+      } catch (error) {
+        if (error.message.includes('404')) {
+          return null; // Unknown OLID
+        }
+        throw error;
+      }
+    } else {
+      const match = await searchAuthor(name, env);
+      if (!match) {
+        return null;
+      }
+      olid = match.key.replace("/authors/", "");
+      name = match.name || name;
+    }
+    
+    const params = new URLSearchParams({ limit: options.maxResults.toString() });
+    const works = await safeFetch(`https://openlibrary.org/authors/${olid}/works.json?${params}`, {
+      signal: AbortSignal.timeout(20000)
+    }, { env, provider: this.name });
+    
+    return this.normalize({ ...works, author: { name, olid } }, { operation: "author" });
+  },
+  
+  // Author record for /author-profile - the best name match's dates, photo and the
+  // Wikidata id Open Library links it to
+  async authorRecord(name, env) {
+    await assertCircuitClosed(this.name, env);
+    
+    const match = await searchAuthor(name, env);
+    if (!match) {
+      return null;
+    }
+    
+    const olid = match.key.replace("/authors/", "");
+    const record = await safeFetch(`https://openlibrary.org/authors/${olid}.json`, {
+      signal: AbortSignal.timeout(20000)
+    }, { env, provider: this.name });
+    
+    return {
+      name: record.name || match.name || name,
+      olid,
+      birthDate: record.birth_date || match.birth_date || "",
+      deathDate: record.death_date || match.death_date || "",
+      // Negative photo ids are deleted photos
+      photo: record.photos?.[0] > 0 ? `https://covers.openlibrary.org/a/id/${record.photos[0]}-L.jpg` : null,
+      wikidataId: record.remote_ids?.wikidata || null
+    };
+  },
+  
+  // Every edition of the work an ISBN belongs to - /isbn/{isbn}.json redirects to the
+  // edition record, whose works[0] keys the editions list
+  async editions(isbn, options, env) {
+    await assertCircuitClosed(this.name, env);
+    
+    const edition = await fetchEditionRecord(isbn, env);
+    if (!edition) {
+      return null; // ISBN not in Open Library
+    }
+    
+    const workKey = edition.works?.[0]?.key;
+    if (!workKey) {
+      return this.normalize({ entries: [edition], size: 1, work: null }, { operation: "editions" });
+    }
+    
+    const params = new URLSearchParams({ limit: options.maxResults.toString() });
+    const editions = await safeFetch(`https://openlibrary.org${workKey}/editions.json?${params}`, {
+      signal: AbortSignal.timeout(20000)
+    }, { env, provider: this.name });
+    
+    // A work with more editions than the limit may not list the scanned one - keep it regardless
+    const entries = editions.entries || [];
+    if (!entries.some((entry) => entry.key === edition.key)) {
+      entries.unshift(edition);
+    }
+    
+    return this.normalize({
+      entries,
+      size: Math.max(editions.size || 0, entries.length),
+      work: { id: workKey.replace("/works/", ""), title: edition.title || "" }
+    }, { operation: "editions" });
+  },
+  
+  // search.json docs -> books#volumes; the api/books "data" record plus the edition and
+  // work records -> books#volume;
+  // an author's works.json entries -> books#volumes with the author block;
+  // a work's editions.json entries -> books#volumes with the work block
+  normalize(data, { operation, isbn }) {
+    if (operation === "editions") {
+      return {
+        kind: "books#volumes",
+        totalItems: data.size,
+        work: data.work,
+        items: data.entries.map((edition) => {
+          const isbn13s = edition.isbn_13 || [];
+          const isbn10s = edition.isbn_10 || [];
+          return {
+            kind: "books#volume",
+            id: edition.key?.replace("/books/", "") || "",
+            volumeInfo: {
+              title: edition.title || "",
+              subtitle: edition.subtitle || "",
+              authors: [],
+              publishedDate: edition.publish_date || "",
+              publisher: edition.publishers?.[0] || "",
+              industryIdentifiers: [
+                ...isbn13s.map((identifier) => ({ type: "ISBN_13", identifier })),
+                ...isbn10s.map((identifier) => ({ type: "ISBN_10", identifier }))
+              ],
+              pageCount: edition.number_of_pages || null,
+              format: edition.physical_format || "",
+              imageLinks: edition.covers?.[0] > 0 ? {
+                thumbnail: `https://covers.openlibrary.org/b/id/${edition.covers[0]}-M.jpg`,
+                smallThumbnail: `https://covers.openlibrary.org/b/id/${edition.covers[0]}-S.jpg`
+              } : null,
+              language: toLanguageCode(edition.languages?.[0]?.key),
+              languages: (edition.languages || []).map((language) => toLanguageCode(language.key)),
+              previewLink: `https://openlibrary.org${edition.key}`,
+              infoLink: `https://openlibrary.org${edition.key}`
+            }
+          };
+        })
+      };
+    }
+    
+    if (operation === "author") {
+      return {
+        kind: "books#volumes",
+        totalItems: data.size || data.entries?.length || 0,
+        author: data.author,
+        items: (data.entries || []).map((work) => ({
+          kind: "books#volume",
+          id: work.key?.replace("/works/", "") || "",
+          volumeInfo: {
+            title: work.title || "",
+            subtitle: work.subtitle || "",
+            authors: data.author.name ? [data.author.name] : [],
+            publishedDate: work.first_publish_date || "",
+            publisher: "",
+            description: getDescriptionText(work.description),
+            industryIdentifiers: [],
+            pageCount: null,
+            categories: work.subjects ? work.subjects.slice(0, 3) : [],
+            // Negative cover ids are deleted covers
+            imageLinks: work.covers?.[0] > 0 ? {
+              thumbnail: `https://covers.openlibrary.org/b/id/${work.covers[0]}-M.jpg`,
+              smallThumbnail: `https://covers.openlibrary.org/b/id/${work.covers[0]}-S.jpg`
+            } : null,
+            language: "en", // works records carry no language
+            previewLink: `https://openlibrary.org${work.key}`,
+            infoLink: `https://openlibrary.org${work.key}`
+          }
+        }))
+      };
+    }
+    
+    if (operation === "lookup") {
+      const bookData = data[`ISBN:${isbn}`];
+      if (!bookData) {
+        return null;
+      }
+      
+      const edition = data.edition || {};
+      const work = data.work || {};
+      const languages = (edition.languages || []).map((language) => toLanguageCode(language.key)).filter(Boolean);
+      const workSubjects = (work.subjects || []).filter((subject) => typeof subject === "string");
+      
+      return {
+        kind: "books#volume",
+        id: bookData.key?.replace("/books/", "") || isbn,
+        volumeInfo: {
+          title: bookData.title || "",
+          authors: bookData.authors?.map((author) => author.name) || [],
+          publishedDate: bookData.publish_date || "",
+          publisher: bookData.publishers?.[0]?.name || "",
+          firstPublishedDate: work.first_publish_date || "",
+          description: getDescriptionText(work.description) || getDescriptionText(edition.description),
+          industryIdentifiers: [{
+            type: isbn.length === 13 ? "ISBN_13" : "ISBN_10",
+            identifier: isbn
+          }],
+          pageCount: bookData.number_of_pages || null,
+          categories: (workSubjects.length > 0 ? workSubjects : bookData.subjects?.map((subject) => subject.name) || []).slice(0, 3),
+          imageLinks: bookData.cover ? {
+            thumbnail: bookData.cover.medium,
+            smallThumbnail: bookData.cover.small
+          } : null,
+          language: languages[0] || "", // empty rather than a guess when the edition names no language
+          languages,
+          // A translation names its source language; otherwise the edition is in the original
+          originalLanguage: toLanguageCode(edition.translated_from?.[0]?.key) || (edition.translation_of ? null : languages[0] || null),
+          previewLink: bookData.url,
+          infoLink: bookData.url
+        }
+      };
+    }
+    
+    return {
+      kind: "books#volumes",
+      totalItems: data.numFound,
+      items: data.docs.map((doc) => ({
+        kind: "books#volume",
+        id: doc.key?.replace("/works/", "") || "",
+        volumeInfo: {
+          title: doc.title || "",
+          authors: doc.author_name || [],
+          publishedDate: doc.first_publish_year?.toString() || "",
+          publisher: Array.isArray(doc.publisher) ? doc.publisher[0] : doc.publisher || "",
+          description: "", // Open Library doesn't provide descriptions in search
+          industryIdentifiers: doc.isbn ? doc.isbn.slice(0, 2).map((isbn) => ({
+            type: isbn.length === 13 ? "ISBN_13" : "ISBN_10",
+            identifier: isbn
+          })) : [],
+          pageCount: null,
+          categories: doc.subject ? doc.subject.slice(0, 3) : [],
+          averageRating: doc.ratings_average || null,
+          ratingsCount: doc.ratings_count || null,
+          editionCount: doc.edition_count || null,
+          imageLinks: doc.cover_i ? {
+            thumbnail: `https://covers.openlibrary.org/b/id/${doc.cover_i}-M.jpg`,
+            smallThumbnail: `https://covers.openlibrary.org/b/id/${doc.cover_i}-S.jpg`
+          } : null,
+          language: toLanguageCode(Array.isArray(doc.language) ? doc.language[0] : doc.language) || "en",
+          previewLink: `https://openlibrary.org${doc.key}`,
+          infoLink: `https://openlibrary.org${doc.key}`
+        }
+      }))
+    };
+  }
+};
+
+// Best match from the authors search, or null
+async function searchAuthor(name, env) {
+  const params = new URLSearchParams({ q: name, limit: "1" });
+  const matches = await safeFetch(`https://openlibrary.org/search/authors.json?${params}`, {
+    signal: AbortSignal.timeout(20000)
+  }, { env, provider: openLibraryProvider.name });
+  
+  const match = matches.docs?.[0];
+  return match?.key ? match : null;
+}
+
+// /isbn/{isbn}.json redirects to the edition record; null when Open Library doesn't know the ISBN
+async function fetchEditionRecord(isbn, env) {
+  try {
+    return await safeFetch(`https://openlibrary.org/isbn/${isbn}.json`, {
+      signal: AbortSignal.timeout(20000)
+    }, { env, provider: openLibraryProvider.name });
+  } catch (error) {
+    if (error.message.includes('404')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Descriptions are either a plain string or a { type: "/type/text", value } object
+function getDescriptionText(description) {
+  return typeof description === "string" ? description : description?.value || "";
+}
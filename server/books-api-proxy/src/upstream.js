@@ -0,0 +1,58 @@
+// Shared upstream fetch used by every provider adapter
+import { recordProviderCall } from "./metrics.js";
+import { reportCircuitOutcome } from "./circuit-breaker.js";
+import { fetchUpstream } from "./fixtures.js";
+
+// FIXED: Memory-safe fetch with size limits
+export const MAX_RESPONSE_SIZE = 5 * 1024 * 1024; // 5MB
+
+// context.provider labels metrics and feeds that provider's circuit breaker;
+// context.env.PROVIDER_MODE switches between live, record and replay (see fixtures.js)
+export async function safeFetch(url, options = {}, context = {}) {
+  const provider = context.provider || new URL(url).hostname;
+  const env = context.env || null;
+  const started = Date.now();
+  
+  try {
+    const response = await fetchUpstream(url, options, { env, provider: context.provider });
+    
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status} - ${response.statusText}`);
+    }
+    
+    const contentLength = response.headers.get('content-length');
+    if (contentLength && parseInt(contentLength) > MAX_RESPONSE_SIZE) {
+      throw new Error('Response too large');
+    }
+    
+    const text = await response.text();
+    if (text.length > MAX_RESPONSE_SIZE) {
+      throw new Error('Response too large');
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (parseError) {
+      throw new Error(`Invalid JSON response: ${parseError.message}`);
+    }
+    
+    recordProviderCall(provider, "success", started);
+    await reportCircuitOutcome(context.provider, "success", env);
+    return data;
+  } catch (error) {
+    const outcome = classifyProviderError(error);
+    recordProviderCall(provider, outcome, started);
+    await reportCircuitOutcome(context.provider, outcome, env);
+    throw error;
+  }
+}
+
+export function classifyProviderError(error) {
+  if (error.name === "TimeoutError" || error.name === "AbortError") {
+    return "timeout";
+  } else if (error.message.includes("API error: 404")) {
+    return "not_found";
+  }
+  return "failure";
+}
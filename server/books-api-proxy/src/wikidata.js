@@ -0,0 +1,213 @@
+// Wikidata client for /author-profile - the person behind an author name and the facts
+// BooksTrack tracks about them (citizenship, gender, birth, photo, ethnic group)
+// WIKIDATA_API_URL points at another api.php, e.g. scripts/wikidata-stub.mjs in tests
+import { safeFetch } from "./upstream.js";
+import { assertCircuitClosed } from "./circuit-breaker.js";
+
+const DEFAULT_WIKIDATA_API_URL = "https://www.wikidata.org/w/api.php";
+const WIKIDATA_PROVIDER = "wikidata";
+
+// Wikimedia rejects requests without a descriptive User-Agent
+const WIKIDATA_HEADERS = { "User-Agent": "BooksTrack/1.0 (books-api-proxy)" };
+
+const HUMAN = "Q5";
+
+// occupation (P106) values that make a name-search hit plausibly the author
+const WRITER_OCCUPATIONS = new Set([
+  "Q36180", // writer
+  "Q6625963", // novelist
+  "Q49757", // poet
+  "Q482980", // author
+  "Q214917", // playwright
+  "Q28389", // screenwriter
+  "Q11774202", // essayist
+  "Q1930187", // journalist
+  "Q4853732", // children's writer
+  "Q18844224", // science fiction writer
+  "Q15980158" // non-fiction writer
+]);
+
+// sex or gender (P21) -> AuthorGender raw values in the app
+const AUTHOR_GENDERS = {
+  Q6581072: "Female", // female
+  Q1052281: "Female", // trans woman
+  Q6581097: "Male", // male
+  Q2449503: "Male", // trans man
+  Q48270: "Non-binary", // non-binary
+  Q12964198: "Non-binary" // genderqueer
+};
+
+// continent (P30) of a country -> CulturalRegion raw values in the app
+const CONTINENT_REGIONS = {
+  Q15: "Africa",
+  Q48: "Asia",
+  Q46: "Europe",
+  Q49: "North America",
+  Q18: "South America",
+  Q538: "Oceania",
+  Q55643: "Oceania",
+  Q3960: "Oceania"
+};
+
+// Regions the app tracks that Wikidata has no continent for; these win over the continent
+const COUNTRY_REGIONS = {
+  // Middle East
+  Q79: "Middle East", Q43: "Middle East", Q794: "Middle East", Q796: "Middle East",
+  Q801: "Middle East", Q810: "Middle East", Q822: "Middle East", Q858: "Middle East",
+  Q851: "Middle East", Q805: "Middle East", Q842: "Middle East", Q878: "Middle East",
+  Q846: "Middle East", Q398: "Middle East", Q817: "Middle East", Q219060: "Middle East",
+  // Central Asia
+  Q232: "Central Asia", Q265: "Central Asia", Q874: "Central Asia", Q813: "Central Asia",
+  Q863: "Central Asia", Q889: "Central Asia",
+  // Caribbean
+  Q241: "Caribbean", Q766: "Caribbean", Q790: "Caribbean", Q786: "Caribbean",
+  Q754: "Caribbean", Q244: "Caribbean", Q778: "Caribbean", Q1183: "Caribbean",
+  Q760: "Caribbean", Q769: "Caribbean", Q781: "Caribbean", Q784: "Caribbean",
+  Q763: "Caribbean", Q757: "Caribbean"
+};
+
+const INDIGENOUS_PATTERN = /indigenous|aboriginal|first nations|native american|māori|maori|sámi|sami|inuit|métis/i;
+
+export function getWikidataApiUrl(env) {
+  return env?.WIKIDATA_API_URL || DEFAULT_WIKIDATA_API_URL;
+}
+
+// The person an author is on Wikidata: by id when Open Library links one, otherwise the
+// first search hit for the name that is a human writer or was born in birthYear (from
+// Open Library). null when there is no such person - a namesake is worse than no profile.
+export async function fetchWikidataPerson({ id, name, birthYear = null }, env) {
+  await assertCircuitClosed(WIKIDATA_PROVIDER, env);
+  
+  let person = id ? await getEntity(id, env) : null;
+  if (!isHuman(person) && name) {
+    const hits = await callWikidata({ action: "wbsearchentities", search: name, language: "en", type: "item", limit: "5" }, env);
+    person = null;
+    for (const hit of hits.search || []) {
+      const candidate = await getEntity(hit.id, env);
+      if (isHuman(candidate) && isLikelyAuthor(candidate, birthYear)) {
+        person = candidate;
+        break;
+      }
+    }
+  }
+  if (!isHuman(person)) {
+    return null;
+  }
+  
+  const countryIds = getClaimIds(person, "P27");
+  const birthPlaceId = getClaimIds(person, "P19")[0] || null;
+  const ethnicGroupIds = getClaimIds(person, "P172");
+  const labels = await getLabels([...countryIds, birthPlaceId, ...ethnicGroupIds].filter(Boolean), env);
+  const regions = await Promise.all(countryIds.map((countryId) => getCountryRegion(countryId, env)));
+  const ethnicities = ethnicGroupIds.map((groupId) => labels[groupId]).filter(Boolean);
+  
+  return {
+    id: person.id,
+    name: person.labels?.en?.value || name || null,
+    gender: getAuthorGender(getClaimIds(person, "P21")),
+    citizenships: countryIds.map((countryId, index) => ({
+      id: countryId,
+      name: labels[countryId] || null,
+      region: regions[index]
+    })),
+    ethnicities,
+    indigenous: ethnicities.some((ethnicity) => INDIGENOUS_PATTERN.test(ethnicity)),
+    birthDate: getClaimDate(person, "P569"),
+    birthPlace: birthPlaceId ? labels[birthPlaceId] || null : null,
+    photo: getCommonsImageUrl(getClaimValues(person, "P18")[0])
+  };
+}
+
+// No gender claim is "Unknown"; one the app has no case for is "Other"
+function getAuthorGender(genderIds) {
+  if (genderIds.length === 0) {
+    return "Unknown";
+  }
+  return AUTHOR_GENDERS[genderIds[0]] || "Other";
+}
+
+async function getCountryRegion(countryId, env) {
+  if (COUNTRY_REGIONS[countryId]) {
+    return COUNTRY_REGIONS[countryId];
+  }
+  
+  // wbgetclaims keeps this to one property - full country entities run to megabytes
+  const data = await callWikidata({ action: "wbgetclaims", entity: countryId, property: "P30" }, env);
+  for (const continentId of getClaimIds({ claims: data.claims }, "P30")) {
+    if (CONTINENT_REGIONS[continentId]) {
+      return CONTINENT_REGIONS[continentId];
+    }
+  }
+  return null;
+}
+
+async function getEntity(id, env) {
+  const data = await callWikidata({ action: "wbgetentities", ids: id, props: "labels|claims", languages: "en" }, env);
+  const entity = data.entities?.[id];
+  return entity && !entity.missing ? entity : null;
+}
+
+async function getLabels(ids, env) {
+  const unique = [...new Set(ids)].slice(0, 50);
+  if (unique.length === 0) {
+    return {};
+  }
+  
+  const data = await callWikidata({ action: "wbgetentities", ids: unique.join("|"), props: "labels", languages: "en" }, env);
+  return Object.fromEntries(unique.map((id) => [id, data.entities?.[id]?.labels?.en?.value || null]));
+}
+
+async function callWikidata(params, env) {
+  const query = new URLSearchParams({ ...params, format: "json" });
+  return await safeFetch(`${getWikidataApiUrl(env)}?${query}`, {
+    headers: WIKIDATA_HEADERS,
+    signal: AbortSignal.timeout(15000)
+  }, { env, provider: WIKIDATA_PROVIDER });
+}
+
+function isHuman(entity) {
+  return Boolean(entity) && getClaimIds(entity, "P31").includes(HUMAN);
+}
+
+function isLikelyAuthor(entity, birthYear) {
+  if (getClaimIds(entity, "P106").some((occupationId) => WRITER_OCCUPATIONS.has(occupationId))) {
+    return true;
+  }
+  const born = getClaimDate(entity, "P569");
+  return Boolean(birthYear && born) && parseInt(born) === birthYear;
+}
+
+// Claim values in rank order: preferred first, deprecated dropped
+function getClaimValues(entity, property) {
+  const rankOrder = { preferred: 0, normal: 1 };
+  return (entity.claims?.[property] || [])
+    .filter((claim) => claim.rank !== "deprecated")
+    .sort((a, b) => (rankOrder[a.rank] ?? 1) - (rankOrder[b.rank] ?? 1))
+    .map((claim) => claim.mainsnak?.datavalue?.value)
+    .filter((value) => value !== undefined && value !== null);
+}
+
+function getClaimIds(entity, property) {
+  return getClaimValues(entity, property).map((value) => value.id).filter(Boolean);
+}
+
+// "+1977-09-15T00:00:00Z" at day (11), month (10) or year (9) precision -> "1977-09-15", "1977-09", "1977"
+function getClaimDate(entity, property) {
+  const value = getClaimValues(entity, property)[0];
+  const match = value?.time?.match(/^\+(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) {
+    return null;
+  }
+  if (value.precision >= 11) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  return value.precision === 10 ? `${match[1]}-${match[2]}` : match[1];
+}
+
+// P18 holds a Commons file name; Special:FilePath redirects to the file at the given width
+function getCommonsImageUrl(fileName) {
+  if (typeof fileName !== "string" || fileName.length === 0) {
+    return null;
+  }
+  return `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(fileName.replace(/ /g, "_"))}?width=400`;
+}
@@ -3,7 +3,7 @@
 # Comprehensive Test Suite for R2+KV Hybrid Cache System
 # Tests all aspects of the enhanced caching system
 
-BASE_URL="https://books-api-proxy.jukasdrj.workers.dev"
+BASE_URL="${1:-https://books-api-proxy.jukasdrj.workers.dev}"
 TEST_RESULTS=()
 PASSED=0
 FAILED=0